@@ -1,7 +1,24 @@
 
 'use strict';
 
-const { Plugin, MarkdownView, PluginSettingTab, Setting, Notice } = require('obsidian');
+const {
+  Plugin,
+  Events,
+  ItemView,
+  MarkdownView,
+  MarkdownRenderChild,
+  PluginSettingTab,
+  Setting,
+  Notice,
+  Menu,
+  Modal,
+  Keymap,
+  FuzzySuggestModal,
+  getAllTags,
+  getLanguage,
+  normalizePath,
+  parseYaml,
+} = require('obsidian');
 
 /**
  * Default settings for the Graph Banner plugin (optimized version).
@@ -9,14 +26,48 @@ const { Plugin, MarkdownView, PluginSettingTab, Setting, Notice } = require('obs
 const DEFAULT_SETTINGS = {
   // Original options
   ignore: [],
-  timeToRemoveLeaf: 100,
+  // Upper bound (ms) on how long the temporary localgraph leaf waits to be released
+  timeToRemoveLeaf: 300,
 
   // Performance
   maxGraphViews: 2,
   layoutDebounceMs: 80,
+  renderMode: 'live',          // 'live' | 'snapshot' | 'svg'
 
   // Appearance
   bannerHeight: '14vh',
+  placement: 'title',          // 'title' | 'properties' | 'end' | 'corner' | 'sidebar'
+  // Heights set with the drag handle, by note path or folder path ('/' for the vault root)
+  bannerHeights: {},
+  resizeScope: 'note',         // 'note' | 'folder'
+  // Collapsed banners: the default, and notes collapsed or expanded differently from it
+  collapseByDefault: false,
+  collapsedNotes: {},
+
+  // Small banners in page preview popovers and canvas cards (opt-in)
+  showInPopovers: false,
+  showInCanvas: false,
+  maxEmbedBanners: 2,
+
+  // Local graph options passed to every banner (see GRAPH_OPTIONS)
+  graph: {
+    depth: 1,
+    incoming: true,
+    outgoing: true,
+    neighbors: false,
+    tags: false,
+    attachments: false,
+    orphans: true,
+    existingOnly: false,
+    search: '',
+    centerForce: 0.52,
+    repelForce: 10,
+    linkForce: 1,
+    linkDistance: 250,
+  },
+
+  // Banner-only color groups ({ query, color: '#rrggbb' }), independent of the main graph
+  colorGroups: [],
 
   // Device behaviour
   mobileMode: 'full',          // 'full' | 'simplified' | 'disabled'
@@ -25,853 +76,5737 @@ const DEFAULT_SETTINGS = {
   // Per-note control
   perNoteDisabledPaths: [],
 
-  // Presets (user-saveable)
-  presets: {
-    preset1: null,
-    preset2: null,
-  },
+  // Metadata rules, evaluated in order (first match wins)
+  visibilityRules: [],
+
+  // Named user presets: [{ id, name, settings }]
+  userPresets: [],
 
-  // Preset UI state
+  // Preset UI state: 'none', a built-in preset name, or 'user:<id>'
   lastAppliedPreset: 'none',
+
+  // Context rules that pick a preset automatically ({ type, value, preset }), first match wins
+  autoPresetRules: [],
+
+  // Layout version of the saved settings, see SETTINGS_MIGRATIONS
+  settingsVersion: 1,
 };
 
+const SETTINGS_VERSION = DEFAULT_SETTINGS.settingsVersion;
+
 /**
- * Very small pattern matcher for ignore rules.
- * NOT full .gitignore, but supports:
- * - blank lines and comments (#)
- * - "!" negation
- * - "*" wildcard (match any chars)
- * - simple substring match if no wildcard
+ * UI strings. `en` is the fallback for missing keys and unsupported
+ * languages; `{name}` placeholders are filled in by `t()`.
  */
-function matchIgnore(path, patterns) {
-  if (!patterns || !Array.isArray(patterns) || patterns.length === 0) return false;
-  let ignored = false;
+const LOCALES = {
+  en: {
+    'common.ok': 'OK',
+    'common.cancel': 'Cancel',
+    'common.apply': 'Apply',
+    'common.moveUp': 'Move up',
+    'common.moveDown': 'Move down',
+    'common.empty': '(empty)',
+    'common.nonNegative': 'Please enter a non-negative number.',
+    'common.clipboardReadFailed': 'Could not read the clipboard.',
+    'common.clipboardWriteFailed': 'Could not write to the clipboard.',
 
-  const specials = /[\\^$+?.()|[\]{}]/g;
+    'graph.depth': 'Depth',
+    'graph.incoming': 'Incoming links',
+    'graph.outgoing': 'Outgoing links',
+    'graph.neighbors': 'Links between neighbors',
+    'graph.tags': 'Tags',
+    'graph.attachments': 'Attachments',
+    'graph.orphans': 'Orphans',
+    'graph.existingOnly': 'Existing files only',
+    'graph.search': 'Search filter',
+    'graph.centerForce': 'Center force',
+    'graph.repelForce': 'Repel force',
+    'graph.linkForce': 'Link force',
+    'graph.linkDistance': 'Link distance',
 
-  const toRegExp = (pattern) => {
-    const escaped = pattern.replace(specials, '\\$&');
-    const reSource = '^' + escaped.replace(/\*/g, '.*') + '$';
-    try {
-      return new RegExp(reSource);
-    } catch (e) {
-      return null;
-    }
-  };
+    'setting.maxGraphViews': 'Max graph views',
+    'setting.renderMode': 'Render mode',
+    'setting.layoutDebounceMs': 'Layout debounce (ms)',
+    'setting.timeToRemoveLeaf': 'Max time to keep the graph leaf (ms)',
+    'setting.showInEditMode': 'Display in edit mode',
+    'setting.mobileMode': 'Mobile mode',
+    'setting.bannerHeight': 'Banner height',
+    'setting.placement': 'Placement',
+    'setting.bannerHeights': 'Resized banner heights',
+    'setting.resizeScope': 'Remember resized height',
+    'setting.collapseByDefault': 'Collapse banners by default',
+    'setting.collapsedNotes': 'Collapsed and expanded banners',
+    'setting.showInPopovers': 'Show in page previews',
+    'setting.showInCanvas': 'Show in canvas cards',
+    'setting.maxEmbedBanners': 'Max preview and card banners',
+    'setting.graph': 'Local graph options',
+    'setting.colorGroups': 'Banner color groups',
+    'setting.ignore': 'Ignore patterns',
+    'setting.visibilityRules': 'Visibility rules',
+    'setting.perNoteDisabledPaths': 'Notes with the banner turned off',
+    'setting.userPresets': 'Custom presets',
+    'setting.lastAppliedPreset': 'Last applied preset',
+    'setting.autoPresetRules': 'Automatic preset rules',
 
-  for (let raw of patterns) {
-    if (!raw) continue;
-    let p = String(raw).trim();
-    if (!p || p.startsWith('#')) continue;
+    'validate.notice': 'Graph Banner: repaired invalid settings',
+    'validate.invalid': '"{name}" was invalid and has been reset to its default.',
+    'validate.graphOption': '"{name}" value {from} was invalid and has been changed to {to}.',
+    'validate.reset': '"{name}" value {from} was invalid and has been reset to the default {to}.',
+    'validate.listItems': '"{name}" had {count} invalid entries, which have been removed.',
+    'validate.changed': '"{name}" value {from} has been changed to {to}.',
 
-    let negate = false;
-    if (p.startsWith('!')) {
-      negate = true;
-      p = p.slice(1).trim();
-      if (!p) continue;
-    }
+    'preset.perf': 'Performance first',
+    'preset.balanced': 'Balanced',
+    'preset.info': 'Information rich',
+    'preset.defaultName': 'Custom preset {n}',
+    'preset.importedName': 'Imported preset',
+    'preset.copyName': '{name} copy',
+    'preset.missing': 'This preset does not exist.',
+    'preset.userMissing': 'This custom preset does not exist.',
 
-    let isMatch = false;
-    if (p.includes('*')) {
-      const re = toRegExp(p);
-      if (re && re.test(path)) isMatch = true;
-    } else {
-      if (path.includes(p)) isMatch = true;
-    }
+    'diff.graphOption': '{group}: {option}',
+    'diff.none': 'Applying this preset does not change any settings.',
+    'diff.summary': 'Applying this preset will change {count} settings:',
+    'diff.reordered': 'Order changed only',
 
-    if (isMatch) {
-      ignored = !negate;
-    }
-  }
+    'prompt.choosePresetFile': 'Choose a preset JSON file to import',
 
-  return ignored;
-}
+    'settings.title': 'Graph Banner settings',
+    'settings.presets': 'Presets (quick switching)',
+    'settings.applyPreset': 'Apply preset',
+    'settings.applyPresetDesc': 'Switch a group of performance and appearance settings at once.',
+    'settings.presetNone': 'None',
+    'settings.applyPresetTitle': 'Apply preset "{name}"',
+    'settings.presetApplied': 'Graph Banner: preset applied.',
 
-/**
- * Graph view wrapper used by the plugin.
- * Responsible for hosting the local graph and embedding it under the note title.
- */
-class GraphView {
-  constructor(app, plugin) {
-    this.app = app;
-    this.plugin = plugin;
+    'settings.performance': 'Performance',
+    'settings.maxGraphViewsDesc':
+      'How many Graph Banner instances to keep for reuse in a workspace, which is also how many split panes ' +
+      'can show a banner at once. 1–3 is recommended.',
+    'settings.renderModeDesc':
+      'Snapshot mode caches a PNG of the local graph (stored in the plugin folder, keyed by note path and a hash of its links). ' +
+      'Opening a note shows the image, and the live graph loads when you click the banner. Useful on slower devices.\n' +
+      'The built-in SVG renderer draws the graph from the links itself, without Obsidian internals; tag nodes and the search filter are not supported yet.',
+    'settings.renderLive': 'Live graph',
+    'settings.renderSnapshot': 'Snapshot (live graph on click)',
+    'settings.renderSvg': 'Built-in SVG (no local graph view)',
+    'settings.clearSnapshots': 'Clear snapshot cache',
+    'settings.snapshotsCleared': 'Graph Banner: snapshot cache cleared.',
+    'settings.snapshotsClearFailed': 'Graph Banner: could not clear the snapshot cache.',
+    'settings.layoutDebounceDesc': 'Merges bursts of window / pane changes. Higher values refresh less often.',
+    'settings.timeToRemoveLeaf': 'Advanced: max time to keep the graph leaf (ms)',
+    'settings.timeToRemoveLeafDesc':
+      'A local graph leaf is created briefly to draw the banner. It is released as soon as the graph view is ready ' +
+      'and other plugins such as Sync Graph Settings have seen it; this is the fallback if that takes longer. ' +
+      '0 removes it immediately.',
 
-    this.leaf = app.workspace.getLeaf('tab');
-    this.node = null;
-    this.setupLeafPromise = this._setupLeaf(plugin.settings.timeToRemoveLeaf);
+    'settings.behaviour': 'Behavior',
+    'settings.editMode': 'Display in edit mode',
+    'settings.editModeDesc': 'How the banner is shown in edit mode. Reading mode always shows the full banner.',
+    'settings.modeFull': 'Full',
+    'settings.modeCompact': 'Compact',
+    'settings.modeHidden': 'Hidden',
+    'settings.mobileMode': 'Mobile behavior',
+    'settings.mobileModeDesc': 'How the banner behaves on phones and tablets.',
+    'settings.showInPopoversDesc': 'Add a small banner to page preview popovers shown when hovering links.',
+    'settings.showInCanvasDesc': 'Add a small banner to note cards on canvas.',
+    'settings.maxEmbedBannersDesc':
+      'Previews and cards share this many banners, drawn with the built-in SVG renderer. ' +
+      'When more are open, the least recently shown one moves over.',
+    'settings.mobileFull': 'Same as desktop',
+    'settings.mobileSimplified': 'Simplified (smaller, lighter)',
+    'settings.mobileDisabled': 'Disabled',
 
-    this.currentFilePath = null;
-    this.compact = false;
-    this.mobileSimplified = false;
-  }
+    'settings.appearance': 'Appearance',
+    'settings.bannerHeight': 'Banner height',
+    'settings.bannerHeightDesc': 'E.g. 14vh, 20vh, 200px. Controls the vertical space taken by the banner.',
+    'settings.placementDesc':
+      'Where the banner is shown. Without an inline title, "Below the title" puts it at the top of the note; ' +
+      'without properties, "Below properties" falls back to below the title.',
+    'settings.resizeScopeDesc':
+      'Drag the bottom edge of a banner to resize it, double-click the edge to go back to the default height. ' +
+      '{count} heights are remembered.',
+    'settings.collapseByDefaultDesc':
+      'Show new banners as a thin strip with the number of linked notes. ' +
+      'Use the arrow button on a banner to collapse or expand it for that note.',
+    'settings.resizeNote': 'Per note',
+    'settings.resizeFolder': 'Per folder',
+    'settings.clearHeights': 'Forget all resized heights',
+    'settings.placementTitle': 'Below the title',
+    'settings.placementProperties': 'Below properties',
+    'settings.placementEnd': 'End of the note',
+    'settings.placementCorner': 'Floating mini-map (bottom-right corner)',
+    'settings.placementSidebar': 'Right sidebar',
 
-  async _setupLeaf(timeToRemoveLeaf) {
-    await this.leaf.setViewState({ type: 'localgraph' });
+    'settings.ignoreSection': 'Rules: notes to ignore',
+    'settings.ignore': 'Ignore patterns',
+    'settings.ignoreDesc':
+      'One pattern per line, with .gitignore syntax: "*", "**", "?", "[abc]", "!" to negate, ' +
+      'a leading "/" anchors to the vault root, a trailing "/" only matches folders, "\\" escapes.\n' +
+      'Examples: templates/, Archive/*, !Archive/keep.md, **/daily/*.md.',
+    'settings.perNote': 'Per-note toggle',
+    'settings.perNoteDesc':
+      'Run "{command}" from the command palette to turn the banner on or off for the current note.\n' +
+      'A graph-banner block in the note frontmatter (enabled / height / mode and local graph options) overrides the global settings.',
+    'settings.perNoteTooltip': 'Open the command palette (Ctrl/Cmd+P) and search for "Graph Banner"',
+    'settings.cleanup': 'Clean up stale entries',
+    'settings.cleanupDesc':
+      'The banner is turned off for {count} notes, {stale} of which no longer exist. ' +
+      'Renames and deletions are synced automatically; this cleans up entries left by older versions.',
+    'settings.cleanupButton': 'Clean up',
+    'settings.cleanupDone': 'Graph Banner: removed {count} stale entries.',
 
-    const node = this.leaf.view.containerEl.find('.view-content');
-    this.node = node;
+    'settings.userPresets': 'Custom presets',
+    'settings.userPresetsDesc': 'Save the current settings as a named preset. Presets can be exported as JSON to share.',
+    'settings.savePreset': 'Save current settings as new preset',
+    'settings.newPresetName': 'New preset name',
+    'settings.presetSaved': 'Preset "{name}" saved.',
+    'settings.importClipboard': 'Import from clipboard',
+    'settings.importFile': 'Import from a JSON file in the vault',
+    'settings.presetCount': 'Contains {count} settings.',
+    'settings.overwritePreset': 'Overwrite with current settings',
+    'settings.presetUpdated': 'Preset "{name}" updated.',
+    'settings.rename': 'Rename',
+    'settings.renamePreset': 'Rename preset',
+    'settings.duplicate': 'Duplicate',
+    'settings.exportClipboard': 'Export to clipboard',
+    'settings.presetCopied': 'Preset "{name}" copied to the clipboard.',
+    'settings.exportFile': 'Export as a JSON file in the vault',
+    'settings.presetExported': 'Preset exported to {path}',
+    'settings.presetExportFailed': 'Could not export the preset to a file.',
+    'settings.deletePreset': 'Delete preset',
+    'settings.importFailed': 'Import failed: not a valid Graph Banner preset.',
+    'settings.presetImported': 'Imported preset "{name}".',
 
-    this._setupNode();
+    'settings.autoPresets': 'Switch presets automatically',
+    'settings.autoPresetsDesc':
+      'Rules are checked in order and the first match picks the preset. Saved settings are not changed, ' +
+      'and they come back when the context no longer matches. Current: {current}.',
+    'settings.autoPresetsNone': 'no rule matches, using saved settings',
+    'settings.addRule': 'Add rule',
+    'settings.autoRule': 'Context {n}',
+    'settings.autoMobile': 'On mobile',
+    'settings.autoBattery': 'On battery power',
+    'settings.autoFolder': 'Note in folder',
+    'settings.autoWorkspace': 'Workspace layout is',
+    'settings.autoBodyClass': 'UI has CSS class (e.g. zen / presentation mode)',
+    'settings.workspaceName': 'Workspace name',
+    'settings.deleteRule': 'Delete rule',
 
-    const removeChild = () => {
-      try {
-        if (this.leaf.parent) {
-          // @ts-ignore private API – same hack as original plugin
-          this.leaf.parent.removeChild(this.leaf);
-        }
-      } catch (_) {
-        // ignore
-      }
-    };
+    'settings.graphOptions': 'Local graph options',
+    'settings.graphOptionsDesc':
+      'Every banner uses the depth, filters and forces set here, instead of whatever the last local graph used. ' +
+      'A note can override them with the same keys in its graph-banner frontmatter block, e.g. depth: 2, tags: true.',
+    'settings.resetGraph': 'Restore default graph options',
+    'settings.resetGraphButton': 'Restore defaults',
 
-    if (timeToRemoveLeaf > 0) {
-      setTimeout(removeChild, timeToRemoveLeaf);
-    } else {
-      removeChild();
-    }
-  }
+    'settings.colorGroups': 'Color groups',
+    'settings.colorGroupsName': 'Banner color groups',
+    'settings.colorGroupsDesc':
+      'Only applies to the local graph in the banner; the main graph colors are not changed. ' +
+      'Queries use graph view syntax, e.g. path:Projects, tag:#person. Groups higher in the list win.',
+    'settings.addGroup': 'Add group',
+    'settings.group': 'Group {n}',
+    'settings.deleteGroup': 'Delete group',
 
-  _setupNode() {
-    const node = this.node;
-    if (!node) return;
+    'ignore.testPlaceholder': 'Type a path to test, e.g. Archive/2023/log.md',
+    'ignore.line': 'Line {n}: {source}',
+    'ignore.noPatterns': 'No ignore patterns in effect.',
+    'ignore.count': '{count} notes',
+    'ignore.ignored': 'Ignored',
+    'ignore.shown': 'Shown',
+    'ignore.noMatch': 'no pattern matches',
+    'ignore.summary':
+      '{total} notes: {ignored} ignored, {reincluded} shown again by a negated pattern, {untouched} not matched by any pattern.',
+    'ignore.more': '…and {count} more not listed.',
 
-    node.addClass('graph-banner-content');
+    'settings.visibilitySection': 'Rules: by tag / folder / property / link count',
+    'settings.visibilityRules': 'Visibility rules',
+    'settings.visibilityRulesDesc':
+      'Rules are checked in order and the first match decides show or hide; notes no rule matches show a banner. ' +
+      'Notes excluded by ignore patterns are not checked. ' +
+      'E.g. "only in Projects/": add "show / in folder Projects", then "hide / all notes".',
+    'settings.propertyValue': 'Value (empty means the property exists)',
+    'settings.rule': 'Rule {n}',
+    'settings.hide': 'Hide',
+    'settings.show': 'Show',
+    'settings.ruleTag': 'Has tag',
+    'settings.ruleFolder': 'In folder',
+    'settings.ruleProperty': 'Property equals',
+    'settings.ruleBacklinks': 'Backlinks more than',
+    'settings.ruleLinks': 'Outgoing links more than',
+    'settings.ruleAlways': 'All notes',
+    'settings.propertyName': 'Property name',
 
-    const controls = node.find('.graph-controls');
-    if (controls) controls.toggleClass('is-close', true);
+    'command.toggle': 'Toggle Graph Banner for the current note',
+    'command.export': 'Export Graph Banner of the current note: {format}',
+    'banner.export': 'Export graph',
+    'command.openSidebar': 'Open Graph Banner in the sidebar',
+    'command.collapseAll': 'Collapse or expand all banners',
 
-    const overlay = document.createElement('div');
-    overlay.addClass('graph-banner-overlay');
-    overlay.style.pointerEvents = 'auto';
-    node.insertBefore(overlay, node.querySelector('canvas'));
+    'collapse.toggle': 'Collapse or expand graph',
+    'collapse.neighborOne': '1 linked note',
+    'collapse.neighbors': '{count} linked notes',
 
-    // Small settings button overlayed on top-right
-    const settingsBtn = document.createElement('div');
-    settingsBtn.addClass('graph-banner-settings-button');
-    settingsBtn.setAttr('aria-label', 'Graph Banner settings');
-    settingsBtn.setAttr('role', 'button');
-    settingsBtn.addEventListener('click', () => {
-      if (this.plugin && typeof this.plugin.openSettingsPanel === 'function') {
-        this.plugin.openSettingsPanel();
-      }
-    });
-    overlay.appendChild(settingsBtn);
+    'sidebar.title': 'Graph Banner',
+    'sidebar.empty': 'Open a note to see its local graph.',
 
+    'block.invalid': 'Graph Banner: the code block options are not valid YAML.',
+    'block.noteMissing': 'Graph Banner: note "{note}" not found.',
+    'block.released': 'Graph Banner: more graph blocks are open than "Max graph views". Click to show this one.',
 
-    // Overlay controls interactive mode
-    overlay.addEventListener('pointerup', () => {
-      if (this.isActive()) return;
-      this.setActive(true);
+    'notice.exportNoNote': 'Graph Banner: no note to export.',
+    'notice.mermaidInserted': 'Graph Banner: Mermaid diagram inserted.',
+    'notice.exported': 'Graph Banner: exported to {path}',
+    'notice.exportFailed': 'Graph Banner: export failed.',
+    'notice.liveFailed': 'Graph Banner: could not load the live graph.',
+    'notice.heightFailed': 'Graph Banner: could not save the height in the note\'s frontmatter.',
+    'notice.noteDisabled': 'Graph Banner turned off for the current note.',
+    'notice.noteEnabled': 'Graph Banner turned on again for the current note.',
+    'notice.leafFailed':
+      'Graph Banner: could not create the local graph view. ' +
+      'The built-in SVG renderer works without it.',
+  },
 
-      const abortController = new AbortController();
-      document.addEventListener(
-        'pointerdown',
-        (e) => {
-          if (!this.isActive()) return;
-          const target = e.target;
-          if (target && node.contains(target)) return;
-          this.setActive(false);
-          abortController.abort();
-        },
-        { signal: abortController.signal }
-      );
-    });
-  }
+  zh: {
+    'common.ok': '确定',
+    'common.cancel': '取消',
+    'common.apply': '应用',
+    'common.moveUp': '上移',
+    'common.moveDown': '下移',
+    'common.empty': '（空）',
+    'common.nonNegative': '请输入非负数字。',
+    'common.clipboardReadFailed': '无法读取剪贴板。',
+    'common.clipboardWriteFailed': '无法写入剪贴板。',
 
-  isActive() {
-    return this.node && this.node.dataset['interactive'] === 'true';
-  }
+    'graph.depth': '深度',
+    'graph.incoming': '入链',
+    'graph.outgoing': '出链',
+    'graph.neighbors': '邻居之间的链接',
+    'graph.tags': '标签',
+    'graph.attachments': '附件',
+    'graph.orphans': '孤立节点',
+    'graph.existingOnly': '仅显示已存在的文件',
+    'graph.search': '搜索过滤',
+    'graph.centerForce': '向心力',
+    'graph.repelForce': '排斥力',
+    'graph.linkForce': '链接力',
+    'graph.linkDistance': '链接距离',
 
+    'setting.maxGraphViews': '最大 Graph 实例数',
+    'setting.renderMode': '渲染方式',
+    'setting.layoutDebounceMs': '布局变化防抖（ms）',
+    'setting.timeToRemoveLeaf': '保留 Graph leaf 的最长时间（ms）',
+    'setting.showInEditMode': '编辑模式下的显示方式',
+    'setting.mobileMode': '移动端模式',
+    'setting.bannerHeight': 'Banner 高度',
+    'setting.placement': '显示位置',
+    'setting.bannerHeights': '拖动调整的 Banner 高度',
+    'setting.resizeScope': '记住拖动调整的高度',
+    'setting.collapseByDefault': '默认折叠 Banner',
+    'setting.collapsedNotes': '单独折叠或展开的 Banner',
+    'setting.showInPopovers': '在页面预览中显示',
+    'setting.showInCanvas': '在白板卡片中显示',
+    'setting.maxEmbedBanners': '预览与卡片 Banner 数量上限',
+    'setting.graph': '本地图谱参数',
+    'setting.colorGroups': 'Banner 颜色分组',
+    'setting.ignore': '忽略规则',
+    'setting.visibilityRules': '显示规则',
+    'setting.perNoteDisabledPaths': '单独关闭的笔记',
+    'setting.userPresets': '自定义预设',
+    'setting.lastAppliedPreset': '上次应用的预设',
+    'setting.autoPresetRules': '自动切换预设规则',
 
-  setActive(active) {
-    if (!this.node) return;
-    this.node.dataset['interactive'] = String(active);
-    const overlay = this.node.querySelector('.graph-banner-overlay');
-    if (overlay) {
-      overlay.style.pointerEvents = active ? 'none' : 'auto';
-    }
-    if (active) {
-      this.node.addClass('graph-banner-active');
-    } else {
-      this.node.removeClass('graph-banner-active');
-    }
-  }
+    'validate.notice': 'Graph Banner：已修复无效的设置',
+    'validate.invalid': '「{name}」无效，已恢复为默认值。',
+    'validate.graphOption': '「{name}」的值 {from} 无效，已改为 {to}。',
+    'validate.reset': '「{name}」的值 {from} 无效，已恢复为默认值 {to}。',
+    'validate.listItems': '「{name}」中有 {count} 项无效，已移除。',
+    'validate.changed': '「{name}」的值 {from} 已改为 {to}。',
 
-  setCompact(compact) {
-    this.compact = !!compact;
-    if (!this.node) return;
-    this.node.toggleClass('graph-banner-compact', this.compact);
-  }
+    'preset.perf': '性能优先',
+    'preset.balanced': '平衡模式',
+    'preset.info': '信息优先',
+    'preset.defaultName': '自定义预设 {n}',
+    'preset.importedName': '导入的预设',
+    'preset.copyName': '{name} 副本',
+    'preset.missing': '该预设不存在。',
+    'preset.userMissing': '该自定义预设不存在。',
 
-  setMobileSimplified(flag) {
-    this.mobileSimplified = !!flag;
-    if (!this.node) return;
-    this.node.toggleClass('graph-banner-mobile-simplified', this.mobileSimplified);
+    'diff.graphOption': '{group}：{option}',
+    'diff.none': '应用该预设不会改变任何设置。',
+    'diff.summary': '应用该预设将修改以下 {count} 项设置：',
+    'diff.reordered': '仅调整顺序',
+
+    'prompt.choosePresetFile': '选择要导入的预设 JSON 文件',
+
+    'settings.title': 'Graph Banner – 优化版设置',
+    'settings.presets': '预设模式（场景快速切换）',
+    'settings.applyPreset': '应用预设',
+    'settings.applyPresetDesc': '快速切换一组性能 / 外观参数。',
+    'settings.presetNone': '不应用',
+    'settings.applyPresetTitle': '应用预设「{name}」',
+    'settings.presetApplied': 'Graph Banner：预设已应用。',
+
+    'settings.performance': '性能',
+    'settings.maxGraphViewsDesc': '同一工作区最多保留多少个 Graph Banner 实例用于复用，也是分屏时最多同时显示 Banner 的窗格数。建议 1–3。',
+    'settings.renderModeDesc':
+      '快照模式会把本地图谱截图缓存为 PNG（保存在插件目录，按笔记路径和链接哈希区分），' +
+      '打开笔记时只显示图片，点击 Banner 后才加载实时图谱。适合配置较低的设备。\n' +
+      '内置 SVG 渲染根据链接关系自行绘制，不使用 Obsidian 内部接口；暂不支持标签节点和搜索过滤。',
+    'settings.renderLive': '实时图谱',
+    'settings.renderSnapshot': '快照（点击后加载实时图谱）',
+    'settings.renderSvg': '内置 SVG 渲染（不依赖本地图谱视图）',
+    'settings.clearSnapshots': '清除快照缓存',
+    'settings.snapshotsCleared': 'Graph Banner：快照缓存已清除。',
+    'settings.snapshotsClearFailed': 'Graph Banner：无法清除快照缓存。',
+    'settings.layoutDebounceDesc': '窗口拖动 / 面板变化时合并触发次数。数值越大，刷新频率越低。',
+    'settings.timeToRemoveLeaf': '高级：保留 Graph leaf 的最长时间（ms）',
+    'settings.timeToRemoveLeafDesc':
+      '内部会短暂创建一个本地图视图 leaf 用于绘制 Banner。图谱视图就绪、且 Sync Graph Settings 等插件处理完后即会移除；' +
+      '此处是等待的上限。设为 0 表示立即移除。',
+
+    'settings.behaviour': '行为与交互',
+    'settings.editMode': '编辑模式显示方式',
+    'settings.editModeDesc': '在编辑模式下如何显示 Banner。阅读模式始终使用完整 Banner。',
+    'settings.modeFull': '完整显示',
+    'settings.modeCompact': '压缩显示',
+    'settings.modeHidden': '隐藏',
+    'settings.mobileMode': '移动端行为',
+    'settings.mobileModeDesc': '在手机 / 平板上如何处理 Banner。',
+    'settings.showInPopoversDesc': '在悬停链接弹出的页面预览中显示一个小 Banner。',
+    'settings.showInCanvasDesc': '在白板（Canvas）的笔记卡片中显示一个小 Banner。',
+    'settings.maxEmbedBannersDesc':
+      '页面预览和白板卡片共用这些 Banner，使用内置 SVG 渲染。' +
+      '打开的数量超过上限时，最久未显示的那个会被移过来。',
+    'settings.mobileFull': '与桌面相同',
+    'settings.mobileSimplified': '简化图（更小、更淡）',
+    'settings.mobileDisabled': '完全禁用',
+
+    'settings.appearance': '外观',
+    'settings.bannerHeight': 'Banner 高度',
+    'settings.bannerHeightDesc': '例如：14vh、20vh、200px。用于控制 Banner 占用的垂直空间。',
+    'settings.placementDesc':
+      'Banner 显示在哪里。关闭行内标题时，“标题下方”会显示在笔记顶部；' +
+      '笔记没有属性时，“属性下方”会退回到标题下方。',
+    'settings.resizeScopeDesc':
+      '拖动 Banner 底边即可调整高度，双击底边恢复默认高度。' +
+      '当前记住了 {count} 个高度。',
+    'settings.collapseByDefaultDesc':
+      '新打开的 Banner 只显示为一条细条，并标出相关笔记数量。' +
+      '点击 Banner 上的箭头按钮可以为该笔记单独折叠或展开。',
+    'settings.resizeNote': '按笔记',
+    'settings.resizeFolder': '按文件夹',
+    'settings.clearHeights': '清除所有拖动调整的高度',
+    'settings.placementTitle': '标题下方',
+    'settings.placementProperties': '属性下方',
+    'settings.placementEnd': '笔记末尾',
+    'settings.placementCorner': '悬浮小地图（右下角）',
+    'settings.placementSidebar': '右侧边栏',
+
+    'settings.ignoreSection': '规则：忽略哪些笔记',
+    'settings.ignore': '忽略路径模式',
+    'settings.ignoreDesc':
+      '一行一个模式，语法与 .gitignore 相同：支持 "*"、"**"、"?"、"[abc]"、"!" 取反、' +
+      '以 "/" 开头锚定到库根目录、以 "/" 结尾仅匹配文件夹、"\\" 转义。\n' +
+      '示例：templates/、Archive/*、!Archive/keep.md、**/daily/*.md。',
+    'settings.perNote': '当前笔记一键开关',
+    'settings.perNoteDesc':
+      '通过命令面板：执行 “{command}” 即可为当前笔记开 / 关 Banner。\n' +
+      '也可以在笔记 frontmatter 中写入 graph-banner 块（enabled / height / mode 及本地图谱参数），其优先级高于全局设置。',
+    'settings.perNoteTooltip': '打开命令面板（Ctrl/Cmd+P）后搜索 "Graph Banner"',
+    'settings.cleanup': '清理失效条目',
+    'settings.cleanupDesc':
+      '已为 {count} 篇笔记关闭 Banner，其中 {stale} 条指向已不存在的笔记。' +
+      '重命名 / 删除笔记时会自动同步，此处用于清理旧版本遗留的条目。',
+    'settings.cleanupButton': '清理',
+    'settings.cleanupDone': 'Graph Banner：已清理 {count} 条失效条目。',
+
+    'settings.userPresets': '自定义预设',
+    'settings.userPresetsDesc': '保存当前插件设置为命名预设，可导出为 JSON 与他人共享。',
+    'settings.savePreset': '保存当前配置为新预设',
+    'settings.newPresetName': '新预设名称',
+    'settings.presetSaved': '预设「{name}」已保存。',
+    'settings.importClipboard': '从剪贴板导入',
+    'settings.importFile': '从库中的 JSON 文件导入',
+    'settings.presetCount': '包含 {count} 项设置。',
+    'settings.overwritePreset': '用当前配置覆盖',
+    'settings.presetUpdated': '预设「{name}」已更新。',
+    'settings.rename': '重命名',
+    'settings.renamePreset': '重命名预设',
+    'settings.duplicate': '复制',
+    'settings.exportClipboard': '导出到剪贴板',
+    'settings.presetCopied': '预设「{name}」已复制到剪贴板。',
+    'settings.exportFile': '导出为库中的 JSON 文件',
+    'settings.presetExported': '预设已导出到 {path}',
+    'settings.presetExportFailed': '无法将预设导出为文件。',
+    'settings.deletePreset': '删除该预设',
+    'settings.importFailed': '导入失败：不是有效的 Graph Banner 预设。',
+    'settings.presetImported': '已导入预设「{name}」。',
+
+    'settings.autoPresets': '按场景自动切换预设',
+    'settings.autoPresetsDesc':
+      '按顺序检查，第一条命中的规则决定使用哪个预设；不会修改已保存的设置，离开该场景后自动恢复。当前：{current}。',
+    'settings.autoPresetsNone': '未命中任何规则，使用已保存的设置',
+    'settings.addRule': '添加规则',
+    'settings.autoRule': '场景 {n}',
+    'settings.autoMobile': '移动端',
+    'settings.autoBattery': '使用电池供电',
+    'settings.autoFolder': '笔记位于文件夹',
+    'settings.autoWorkspace': '工作区布局为',
+    'settings.autoBodyClass': '界面含有 CSS 类（如专注 / 演示模式）',
+    'settings.workspaceName': '工作区名称',
+    'settings.deleteRule': '删除该规则',
+
+    'settings.graphOptions': '本地图谱参数',
+    'settings.graphOptionsDesc':
+      '每个 Banner 都使用这里的深度、过滤和力参数，不再沿用上一次打开的本地图谱。' +
+      '单篇笔记可在 frontmatter 的 graph-banner 块中用同名键覆盖，例如 depth: 2、tags: true。',
+    'settings.resetGraph': '恢复默认图谱参数',
+    'settings.resetGraphButton': '恢复默认',
+
+    'settings.colorGroups': '配色分组',
+    'settings.colorGroupsName': 'Banner 配色分组',
+    'settings.colorGroupsDesc':
+      '仅作用于 Banner 中的本地图谱，不会修改主关系图谱的配色。' +
+      '查询语法与关系图谱相同，例如 path:Projects、tag:#person；排在前面的分组优先。',
+    'settings.addGroup': '添加分组',
+    'settings.group': '分组 {n}',
+    'settings.deleteGroup': '删除该分组',
+
+    'ignore.testPlaceholder': '输入路径测试，例如 Archive/2023/log.md',
+    'ignore.line': '第 {n} 行：{source}',
+    'ignore.noPatterns': '当前没有生效的忽略模式。',
+    'ignore.count': '{count} 篇',
+    'ignore.ignored': '忽略',
+    'ignore.shown': '显示',
+    'ignore.noMatch': '没有模式命中',
+    'ignore.summary':
+      '共 {total} 篇笔记：忽略 {ignored} 篇，被取反模式重新显示 {reincluded} 篇，未被任何模式命中 {untouched} 篇。',
+    'ignore.more': '……另有 {count} 篇未列出。',
+
+    'settings.visibilitySection': '规则：按标签 / 文件夹 / 属性 / 链接数',
+    'settings.visibilityRules': '可见性规则',
+    'settings.visibilityRulesDesc':
+      '按顺序检查，第一条命中的规则决定显示或隐藏；都不命中时正常显示。' +
+      '被忽略路径模式排除的笔记不会再参与规则判断。' +
+      '例如“仅在 Projects/ 中显示”：先加一条“显示 / 文件夹 Projects”，再加一条“隐藏 / 所有笔记”。',
+    'settings.propertyValue': '值（留空表示存在即可）',
+    'settings.rule': '规则 {n}',
+    'settings.hide': '隐藏',
+    'settings.show': '显示',
+    'settings.ruleTag': '含有标签',
+    'settings.ruleFolder': '位于文件夹',
+    'settings.ruleProperty': '属性等于',
+    'settings.ruleBacklinks': '反向链接数大于',
+    'settings.ruleLinks': '出链数大于',
+    'settings.ruleAlways': '所有笔记',
+    'settings.propertyName': '属性名',
+
+    'command.toggle': '切换当前笔记的 Graph Banner 显示',
+    'command.export': '导出当前笔记的 Graph Banner：{format}',
+    'banner.export': '导出关系图',
+    'command.openSidebar': '在侧边栏中打开 Graph Banner',
+    'command.collapseAll': '折叠或展开所有 Banner',
+
+    'collapse.toggle': '折叠或展开关系图',
+    'collapse.neighborOne': '1 个相关笔记',
+    'collapse.neighbors': '{count} 个相关笔记',
+
+    'sidebar.title': 'Graph Banner',
+    'sidebar.empty': '打开一篇笔记以查看它的局部关系图。',
+
+    'block.invalid': 'Graph Banner：代码块选项不是有效的 YAML。',
+    'block.noteMissing': 'Graph Banner：找不到笔记“{note}”。',
+    'block.released': 'Graph Banner：打开的关系图代码块超过“最大 Graph 视图数”。点击以显示此图。',
+
+    'notice.exportNoNote': 'Graph Banner：没有可导出的笔记。',
+    'notice.mermaidInserted': 'Graph Banner：已插入 Mermaid 图。',
+    'notice.exported': 'Graph Banner：已导出到 {path}',
+    'notice.exportFailed': 'Graph Banner：导出失败。',
+    'notice.liveFailed': 'Graph Banner：无法加载实时关系图。',
+    'notice.heightFailed': 'Graph Banner：无法将高度保存到笔记的 frontmatter。',
+    'notice.noteDisabled': '已为当前笔记关闭 Graph Banner。',
+    'notice.noteEnabled': '已为当前笔记重新开启 Graph Banner。',
+    'notice.leafFailed': 'Graph Banner：无法创建本地图谱视图。可改用不依赖它的内置 SVG 渲染。',
+  },
+};
+
+/**
+ * Obsidian's interface language, e.g. 'en', 'zh' or 'zh-TW'.
+ */
+function getObsidianLocale() {
+  try {
+    if (typeof getLanguage === 'function') return getLanguage();
+    return window.localStorage.getItem('language') || 'en';
+  } catch (_) {
+    return 'en';
   }
+}
 
-  async forceRefresh(view, opts) {
-    this.currentFilePath = null;
-    return this.placeTo(view, opts);
+/**
+ * Bundle for a locale: exact match first, then the base language.
+ */
+function resolveLocale(locale) {
+  const lang = String(locale || 'en').toLowerCase();
+  if (LOCALES[lang]) return lang;
+  const base = lang.split(/[-_]/)[0];
+  return LOCALES[base] ? base : 'en';
+}
+
+let activeLocale = null;
+
+/**
+ * Translate a UI string. Missing keys fall back to English, then to the key.
+ */
+function t(key, vars) {
+  if (!activeLocale) activeLocale = resolveLocale(getObsidianLocale());
+  let text = LOCALES[activeLocale][key] ?? LOCALES.en[key] ?? key;
+  if (vars) {
+    text = text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
   }
+  return text;
+}
 
-  async placeTo(view, opts) {
-    await this.setupLeafPromise;
-    if (!this.node) return;
+const REGEX_SPECIALS = /[\\^$+?.()|[\]{}*]/g;
 
-    const file = view.file;
-    if (!file) return;
+/**
+ * Translate the body of a gitignore pattern into a regular expression source.
+ * Follows the wildmatch rules git uses for .gitignore:
+ * - "*" matches anything except "/"
+ * - "?" matches one character except "/"
+ * - "[a-z]", "[!abc]" / "[^abc]" character classes (never match "/")
+ * - "**" as a whole path segment (leading, trailing or inner) spans directories
+ * - "\x" matches x literally
+ */
+function globToRegExpSource(glob) {
+  let out = '';
+  let i = 0;
+  const n = glob.length;
 
-    const filePath = file.path;
-    const needNewState = this.currentFilePath !== filePath;
+  while (i < n) {
+    const c = glob[i];
 
-    if (needNewState) {
-      await this.leaf.setViewState({
-        type: 'localgraph',
-        state: { file: filePath },
-      });
-      this.leaf.setGroup(filePath);
-      this.currentFilePath = filePath;
+    if (c === '\\') {
+      if (i + 1 < n) {
+        out += glob[i + 1].replace(REGEX_SPECIALS, '\\$&');
+        i += 2;
+      } else {
+        // A trailing backslash is invalid in git; treat it literally.
+        out += '\\\\';
+        i += 1;
+      }
+      continue;
     }
 
-    const mode = view.getMode();
-    const modeContainer = view.containerEl.find('.markdown-' + mode + '-view');
-    if (!modeContainer) return;
+    if (c === '/' && glob.startsWith('**', i + 1)) {
+      if (i + 3 === n) {
+        // "foo/**": everything inside foo
+        out += '/.*';
+        i += 3;
+        continue;
+      }
+      if (glob[i + 3] === '/') {
+        // "a/**/b": zero or more directories
+        out += '(?:/.*)?/';
+        i += 4;
+        continue;
+      }
+    }
 
-    if (!this.isDescendantOf(modeContainer)) {
-      const noteHeader = modeContainer.find('.inline-title');
-      const parent = noteHeader && noteHeader.parentElement;
-      if (!parent) return;
-      parent.insertAfter(this.node, noteHeader);
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        if (i === 0 && glob[2] === '/') {
+          // "**/foo": foo in any directory
+          out += '(?:.*/)?';
+          i += 3;
+          continue;
+        }
+        // Other consecutive asterisks behave like a single "*"
+        while (glob[i] === '*') i += 1;
+        out += '[^/]*';
+        continue;
+      }
+      out += '[^/]*';
+      i += 1;
+      continue;
     }
 
-    this.node.addClass('graph-banner-visible');
-    if (opts) {
-      this.setCompact(!!opts.compact);
-      this.setMobileSimplified(!!opts.mobileSimplified);
+    if (c === '?') {
+      out += '[^/]';
+      i += 1;
+      continue;
     }
-    // Ensure the underlying local graph view is aware of the new container size.
-    const viewInstance = this.leaf.view;
-    if (viewInstance && typeof viewInstance.onResize === 'function') {
-      try {
-        viewInstance.onResize();
-      } catch (_) {
-        // ignore
+
+    if (c === '[') {
+      const cls = parseCharClass(glob, i);
+      if (cls) {
+        out += cls.source;
+        i = cls.end;
+        continue;
       }
+      out += '\\[';
+      i += 1;
+      continue;
     }
-  }
 
-  isDescendantOf(parent) {
-    if (!this.node || !parent) return false;
-    return parent.contains(this.node);
+    out += c.replace(REGEX_SPECIALS, '\\$&');
+    i += 1;
   }
 
-  setVisibility(show) {
-    if (!this.node) return;
-    this.node.toggleClass('hidden', !show);
-    if (show) {
-      this.node.addClass('graph-banner-visible');
-    } else {
-      this.node.removeClass('graph-banner-visible');
-    }
+  return out;
+}
+
+/**
+ * Parse a bracket expression starting at glob[start] === "[".
+ * Returns null when the bracket is never closed, so the caller can treat
+ * "[" literally like git does.
+ */
+function parseCharClass(glob, start) {
+  let i = start + 1;
+  let negate = false;
+  if (glob[i] === '!' || glob[i] === '^') {
+    negate = true;
+    i += 1;
   }
 
-  detach() {
-    try {
-      this.leaf.detach();
-    } catch (_) {
-      // ignore
+  let body = '';
+  let first = true;
+  while (i < glob.length) {
+    const c = glob[i];
+    if (c === ']' && !first) {
+      if (!body) return null;
+      return {
+        // Like `?`, a class never matches the path separator
+        source: negate ? '[^/' + body + ']' : '(?!/)[' + body + ']',
+        end: i + 1,
+      };
     }
-    if (this.node) {
-      this.node.removeClass('graph-banner-content');
-      this.node.remove();
+    if (c === '\\' && i + 1 < glob.length) {
+      body += '\\' + glob[i + 1];
+      i += 2;
+    } else {
+      body += c === '\\' || c === ']' || c === '[' || c === '^' ? '\\' + c : c;
+      i += 1;
     }
+    first = false;
   }
+  return null;
 }
 
 /**
- * Settings tab for the plugin.
+ * Compile one line of an ignore list. Returns null for blank lines,
+ * comments and patterns that cannot be compiled.
  */
-class GraphBannerSettingTab extends PluginSettingTab {
-  constructor(app, plugin) {
-    super(app, plugin);
-    this.plugin = plugin;
+function compileIgnoreRule(raw, index) {
+  if (raw === null || raw === undefined) return null;
+  let p = String(raw).replace(/^\s+/, '');
+
+  // Trailing whitespace is dropped unless escaped with a backslash
+  while (/\s$/.test(p) && !/(^|[^\\])(\\\\)*\\\s$/.test(p)) {
+    p = p.slice(0, -1);
   }
+  if (!p || p.startsWith('#')) return null;
 
-  display() {
-    const { containerEl } = this;
-    containerEl.empty();
+  let negate = false;
+  if (p.startsWith('!')) {
+    negate = true;
+    p = p.slice(1);
+  } else if (p.startsWith('\\!') || p.startsWith('\\#')) {
+    p = p.slice(1);
+  }
 
-    // Title
-    containerEl.createEl('h2', { text: 'Graph Banner – 优化版设置' });
+  let dirOnly = false;
+  if (p.endsWith('/') && !p.endsWith('\\/')) {
+    dirOnly = true;
+    p = p.replace(/\/+$/, '');
+  }
 
-    // Preset section
-    containerEl.createEl('h3', { text: '预设模式（场景快速切换）' });
+  // A slash at the beginning or in the middle anchors the pattern to the vault root
+  const anchored = p.includes('/');
+  if (p.startsWith('/')) p = p.replace(/^\/+/, '');
+  if (!p) return null;
 
-    new Setting(containerEl)
-      .setName('应用预设')
-      .setDesc('快速切换一组性能 / 外观参数。')
-      .addDropdown((dd) => {
-        dd.addOption('none', '不应用');
-        dd.addOption('perf', '性能优先');
-        dd.addOption('balanced', '平衡模式');
-        dd.addOption('info', '信息优先');
+  let re;
+  try {
+    re = new RegExp((anchored ? '^' : '^(?:.*/)?') + globToRegExpSource(p) + '$');
+  } catch (e) {
+    return null;
+  }
 
-        const { presets, lastAppliedPreset } = this.plugin.settings;
-        if (presets && presets.preset1) dd.addOption('user1', '自定义预设 1');
-        if (presets && presets.preset2) dd.addOption('user2', '自定义预设 2');
+  return { index, source: String(raw), negate, dirOnly, re };
+}
 
-        dd.setValue(lastAppliedPreset || 'none');
-        dd.onChange(async (value) => {
-          if (value === 'none') {
-            this.plugin.settings.lastAppliedPreset = 'none';
-            await this.plugin.saveSettings();
-            return;
-          }
+function compileIgnoreRules(patterns) {
+  if (!patterns || !Array.isArray(patterns)) return [];
+  const rules = [];
+  patterns.forEach((raw, index) => {
+    const rule = compileIgnoreRule(raw, index);
+    if (rule) rules.push(rule);
+  });
+  return rules;
+}
 
-          if (value === 'perf') {
-            this.plugin.applyBuiltinPreset('perf');
-          } else if (value === 'balanced') {
-            this.plugin.applyBuiltinPreset('balanced');
-          } else if (value === 'info') {
-            this.plugin.applyBuiltinPreset('info');
-          } else if (value === 'user1') {
-            this.plugin.applyUserPreset(1);
-          } else if (value === 'user2') {
-            this.plugin.applyUserPreset(2);
-          }
-          this.plugin.settings.lastAppliedPreset = value;
-          await this.plugin.saveSettings();
-          this.display();
-          new Notice('Graph Banner：预设已应用。');
-        });
-      });
+/**
+ * Last matching rule for a single path, or null.
+ */
+function lastMatchingRule(rules, path, isDir) {
+  let match = null;
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.re.test(path)) match = rule;
+  }
+  return match;
+}
 
-    // User presets
-    const makeUserPresetSettings = (n) => {
-      const key = 'preset' + n;
-      const label = '自定义预设 ' + n;
-      const hasPreset = !!(this.plugin.settings.presets && this.plugin.settings.presets[key]);
+/**
+ * .gitignore-compatible matcher for ignore rules.
+ *
+ * Patterns are matched against the vault-relative path with git semantics:
+ * later rules override earlier ones, "!" re-includes, a trailing "/" only
+ * matches folders, and a leading or inner "/" anchors to the vault root.
+ * As in git, a note inside an ignored folder cannot be re-included.
+ */
+function matchIgnore(path, patterns) {
+  const rules = compileIgnoreRules(patterns);
+  if (rules.length === 0) return false;
+  return explainIgnore(path, rules).ignored;
+}
 
-      new Setting(containerEl)
-        .setName(label)
-        .setDesc(hasPreset ? '已保存一份配置快照。' : '尚未保存。保存时会记录当前插件设置。')
-        .addButton((btn) =>
-          btn
-            .setButtonText('保存当前配置')
-            .onClick(async () => {
-              this.plugin.saveCurrentToUserPreset(n);
-              await this.plugin.saveSettings();
-              this.display();
-              new Notice(label + ' 已更新。');
-            })
-        )
-        .addExtraButton((btn) =>
-          btn
-            .setIcon('trash')
-            .setTooltip('清除该预设')
-            .onClick(async () => {
-              this.plugin.clearUserPreset(n);
-              await this.plugin.saveSettings();
-              this.display();
-            })
-        );
-    };
+/**
+ * Like matchIgnore, but takes compiled rules and also reports the rule that
+ * decided the verdict (null when no rule matched the path).
+ */
+function explainIgnore(path, rules) {
+  const parts = String(path).split('/');
+  for (let i = 1; i < parts.length; i++) {
+    const dir = lastMatchingRule(rules, parts.slice(0, i).join('/'), true);
+    if (dir && !dir.negate) return { ignored: true, rule: dir };
+  }
 
-    makeUserPresetSettings(1);
-    makeUserPresetSettings(2);
+  const rule = lastMatchingRule(rules, path, false);
+  return { ignored: !!rule && !rule.negate, rule };
+}
 
-    // Performance section
-    containerEl.createEl('h3', { text: '性能' });
+/**
+ * "Line 3: pattern" label for a compiled ignore rule.
+ */
+function describeIgnoreRule(rule) {
+  return t('ignore.line', { n: rule.index + 1, source: rule.source.trim() });
+}
 
-    new Setting(containerEl)
-      .setName('最大 Graph 实例数')
-      .setDesc('同一工作区最多保留多少个 Graph Banner 实例用于复用。建议 1–3。')
-      .addSlider((slider) => {
-        slider.setLimits(1, 5, 1);
-        slider.setValue(this.plugin.settings.maxGraphViews || DEFAULT_SETTINGS.maxGraphViews);
-        slider.setDynamicTooltip();
-        slider.onChange(async (value) => {
-          this.plugin.settings.maxGraphViews = value;
-          await this.plugin.saveSettings();
-        });
-      });
+/**
+ * Normalize a banner height value.
+ * Bare numbers (e.g. 14 or "14") are treated as vh.
+ */
+function normalizeHeight(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return value + 'vh';
+  if (typeof value !== 'string') return null;
+  const raw = value.trim();
+  if (!raw) return null;
+  if (/^\d+(?:\.\d+)?$/.test(raw)) return raw + 'vh';
+  return raw;
+}
 
-    new Setting(containerEl)
-      .setName('布局变更防抖时间（ms）')
-      .setDesc('窗口拖动 / 面板变化时合并触发次数。数值越大，刷新频率越低。')
-      .addText((text) =>
-        text
-          .setPlaceholder(String(DEFAULT_SETTINGS.layoutDebounceMs))
-          .setValue(String(this.plugin.settings.layoutDebounceMs || DEFAULT_SETTINGS.layoutDebounceMs))
-          .onChange(async (value) => {
-            const num = Number(value);
-            if (!Number.isFinite(num) || num < 0) {
-              new Notice('请输入非负数字。');
-              return;
-            }
-            this.plugin.settings.layoutDebounceMs = num;
-            await this.plugin.saveSettings();
-          })
-      );
+/**
+ * Whether a normalized height is a CSS length the banner can use.
+ */
+function isValidHeight(value) {
+  if (!value) return false;
+  if (window.CSS && typeof window.CSS.supports === 'function') {
+    return window.CSS.supports('height', value);
+  }
+  return /^\d+(?:\.\d+)?(?:px|vh|vw|em|rem|%)$/.test(value);
+}
 
-    new Setting(containerEl)
-      .setName('高级：保留 Graph leaf 的时间（ms）')
-      .setDesc(
-        '内部会短暂创建一个本地图视图 leaf 用于绘制 Banner。' +
-          '如果需要与 Sync Graph Settings 等插件联动，可以适当加大时间。设为 0 表示立即移除。'
-      )
-      .addText((text) =>
-        text
-          .setPlaceholder(String(DEFAULT_SETTINGS.timeToRemoveLeaf))
-          .setValue(String(this.plugin.settings.timeToRemoveLeaf))
-          .onChange(async (value) => {
-            const num = Number(value);
-            if (!Number.isFinite(num) || num < 0) {
-              new Notice('请输入非负数字。');
-              return;
-            }
-            this.plugin.settings.timeToRemoveLeaf = num;
-            await this.plugin.saveSettings();
-          })
-      );
+/**
+ * Local graph options exposed in settings and frontmatter.
+ * `option` is the key inside the localgraph view state's `options`;
+ * the display name is the `graph.<key>` string.
+ */
+const GRAPH_OPTIONS = [
+  { key: 'depth', type: 'number', min: 1, max: 5, step: 1, option: 'localJumps' },
+  { key: 'incoming', type: 'boolean', option: 'localBacklinks' },
+  { key: 'outgoing', type: 'boolean', option: 'localForelinks' },
+  { key: 'neighbors', type: 'boolean', option: 'localInterlinks' },
+  { key: 'tags', type: 'boolean', option: 'showTags' },
+  { key: 'attachments', type: 'boolean', option: 'showAttachments' },
+  { key: 'orphans', type: 'boolean', option: 'showOrphans' },
+  { key: 'existingOnly', type: 'boolean', option: 'hideUnresolved' },
+  { key: 'search', type: 'string', option: 'search' },
+  { key: 'centerForce', type: 'number', min: 0, max: 1, step: 0.01, option: 'centerStrength' },
+  { key: 'repelForce', type: 'number', min: 0, max: 20, step: 0.5, option: 'repelStrength' },
+  { key: 'linkForce', type: 'number', min: 0, max: 1, step: 0.01, option: 'linkStrength' },
+  { key: 'linkDistance', type: 'number', min: 30, max: 500, step: 1, option: 'linkDistance' },
+];
 
-    // Behaviour section
-    containerEl.createEl('h3', { text: '行为与交互' });
+/**
+ * Coerce a graph option value to its declared type.
+ * Returns undefined for values that can't be used.
+ */
+function sanitizeGraphOption(def, value) {
+  if (value === undefined || value === null) return undefined;
 
-    new Setting(containerEl)
-      .setName('编辑模式显示方式')
-      .setDesc('在编辑模式下如何显示 Banner。阅读模式始终使用完整 Banner。')
-      .addDropdown((dd) => {
-        dd.addOption('full', '完整显示');
-        dd.addOption('compact', '压缩显示');
-        dd.addOption('hidden', '隐藏');
-        dd.setValue(this.plugin.settings.showInEditMode || DEFAULT_SETTINGS.showInEditMode);
-        dd.onChange(async (value) => {
-          this.plugin.settings.showInEditMode = value;
-          await this.plugin.saveSettings();
-        });
-      });
+  if (def.type === 'boolean') {
+    return typeof value === 'boolean' ? value : undefined;
+  }
+  if (def.type === 'string') {
+    return typeof value === 'string' || typeof value === 'number' ? String(value) : undefined;
+  }
 
-    new Setting(containerEl)
-      .setName('移动端行为')
-      .setDesc('在手机 / 平板上如何处理 Banner。')
-      .addDropdown((dd) => {
-        dd.addOption('full', '与桌面相同');
-        dd.addOption('simplified', '简化图（更小、更淡）');
-        dd.addOption('disabled', '完全禁用');
-        dd.setValue(this.plugin.settings.mobileMode || DEFAULT_SETTINGS.mobileMode);
-        dd.onChange(async (value) => {
-          this.plugin.settings.mobileMode = value;
-          await this.plugin.saveSettings();
-        });
-      });
+  const num = Number(value);
+  if (value === '' || !Number.isFinite(num)) return undefined;
+  const clamped = Math.min(def.max, Math.max(def.min, num));
+  return def.step >= 1 ? Math.round(clamped) : clamped;
+}
 
-    // Appearance section
-    containerEl.createEl('h3', { text: '外观' });
+/**
+ * Build the localgraph view state `options` from graph settings.
+ */
+function toLocalGraphOptions(graph) {
+  const options = {};
+  for (const def of GRAPH_OPTIONS) {
+    const value = sanitizeGraphOption(def, graph ? graph[def.key] : undefined);
+    options[def.option] = value !== undefined ? value : DEFAULT_SETTINGS.graph[def.key];
+  }
+  return options;
+}
 
-    new Setting(containerEl)
-      .setName('Banner 高度')
-      .setDesc('例如：14vh、20vh、200px。用于控制 Banner 占用的垂直空间。')
-      .addText((text) =>
-        text
-          .setPlaceholder(DEFAULT_SETTINGS.bannerHeight || '14vh')
-          .setValue(this.plugin.settings.bannerHeight || DEFAULT_SETTINGS.bannerHeight || '14vh')
-          .onChange(async (value) => {
-            const v = (value || '').trim() || (DEFAULT_SETTINGS.bannerHeight || '14vh');
-            this.plugin.settings.bannerHeight = v;
-            this.plugin.applyBannerHeight();
-            await this.plugin.saveSettings();
-          })
-      );
+/**
+ * Convert banner color groups to the localgraph `colorGroups` option.
+ * Groups without a query or with an invalid color are skipped.
+ */
+function toGraphColorGroups(groups) {
+  if (!Array.isArray(groups)) return [];
+  const result = [];
+  for (const group of groups) {
+    if (!group) continue;
+    const query = String(group.query || '').trim();
+    const color = String(group.color || '').trim();
+    if (!query || !/^#[0-9a-f]{6}$/i.test(color)) continue;
+    result.push({ query, color: { a: 1, rgb: parseInt(color.slice(1), 16) } });
+  }
+  return result;
+}
 
-    // Rules section
-    containerEl.createEl('h3', { text: '规则：忽略哪些笔记' });
+/**
+ * Frontmatter key holding per-note overrides, e.g.
+ *
+ *   graph-banner:
+ *     enabled: false
+ *     height: 25vh
+ *     mode: compact
+ *     depth: 2
+ *     tags: true
+ *
+ * Every key of GRAPH_OPTIONS can be overridden this way.
+ * `graph-banner: false` is accepted as a shorthand for `enabled: false`.
+ */
+const FRONTMATTER_KEY = 'graph-banner';
 
-    new Setting(containerEl)
-      .setName('忽略路径模式')
-      .setDesc(
-        '一行一个模式。支持简单的 "*" 通配符和 "!" 取反。\n' +
-          '示例：templates/*、Archive/*、!Archive/keep.md。'
-      )
-      .addTextArea((ta) => {
-        ta.setPlaceholder('templates/*\nArchive/*\n!/Project/Index.md');
-        ta.setValue((this.plugin.settings.ignore || []).join('\n'));
-        ta.onChange(async (value) => {
-          this.plugin.settings.ignore = value.split('\n');
-          await this.plugin.saveSettings();
-        });
+const NOTE_MODES = ['full', 'compact', 'hidden'];
+
+/**
+ * Read and sanitize the per-note banner config from the metadata cache.
+ * Unknown keys and invalid values are dropped, so callers only see
+ * fields that should override the global settings.
+ */
+function readNoteConfig(app, file) {
+  const config = {};
+  if (!app || !app.metadataCache || !file) return config;
+
+  const cache = app.metadataCache.getFileCache(file);
+  const raw = cache && cache.frontmatter ? cache.frontmatter[FRONTMATTER_KEY] : undefined;
+  if (raw === undefined || raw === null) return config;
+
+  if (typeof raw === 'boolean') {
+    config.enabled = raw;
+    return config;
+  }
+  if (typeof raw !== 'object' || Array.isArray(raw)) return config;
+
+  if (typeof raw.enabled === 'boolean') config.enabled = raw.enabled;
+
+  const height = normalizeHeight(raw.height);
+  if (height) config.height = height;
+
+  if (typeof raw.mode === 'string' && NOTE_MODES.includes(raw.mode.trim())) {
+    config.mode = raw.mode.trim();
+  }
+
+  for (const def of GRAPH_OPTIONS) {
+    const value = sanitizeGraphOption(def, raw[def.key]);
+    if (value === undefined) continue;
+    if (!config.graph) config.graph = {};
+    config.graph[def.key] = value;
+  }
+
+  return config;
+}
+
+/**
+ * Condition types for visibility rules.
+ * - tag: note has the tag (nested tags such as #daily/2024 also match #daily)
+ * - folder: note lives in the folder or one of its subfolders
+ * - property: frontmatter property equals the value (any value if left empty)
+ * - backlinks / links: more than N resolved incoming / outgoing links
+ * - always: matches every note, useful as a final fallback rule
+ */
+const RULE_TYPES = ['tag', 'folder', 'property', 'backlinks', 'links', 'always'];
+
+function normalizeTag(tag) {
+  return String(tag || '').trim().replace(/^#/, '').toLowerCase();
+}
+
+/**
+ * Reverse index of `metadataCache.resolvedLinks` (target → linking notes).
+ * Built on first use and updated per resolved file, so backlink lookups
+ * don't scan the whole vault.
+ */
+class BacklinkIndex {
+  constructor(metadataCache) {
+    this.metadataCache = metadataCache;
+    this.sources = null;
+    this.outgoing = null;
+  }
+
+  _build() {
+    this.sources = new Map();
+    this.outgoing = new Map();
+    for (const path of Object.keys(this.metadataCache.resolvedLinks || {})) this.update(path);
+  }
+
+  /**
+   * Notes linking to `path`, not counting the note itself.
+   */
+  getBacklinks(path) {
+    if (!this.sources) this._build();
+    return Array.from(this.sources.get(path) || []).filter((source) => source !== path);
+  }
+
+  /**
+   * Re-read the links of a resolved, renamed or deleted note. Returns the
+   * notes whose backlinks changed.
+   */
+  update(path) {
+    if (!this.sources) return [];
+    const links = (this.metadataCache.resolvedLinks || {})[path];
+    const next = new Set(Object.keys(links || {}));
+    const prev = this.outgoing.get(path) || new Set();
+    const changed = [];
+
+    for (const target of prev) {
+      if (next.has(target)) continue;
+      const sources = this.sources.get(target);
+      sources.delete(path);
+      if (sources.size === 0) this.sources.delete(target);
+      changed.push(target);
+    }
+    for (const target of next) {
+      if (prev.has(target)) continue;
+      if (!this.sources.has(target)) this.sources.set(target, new Set());
+      this.sources.get(target).add(path);
+      changed.push(target);
+    }
+
+    if (next.size > 0) {
+      this.outgoing.set(path, next);
+    } else {
+      this.outgoing.delete(path);
+    }
+    return changed;
+  }
+}
+
+function countOutgoingLinks(app, path) {
+  const resolved = app.metadataCache.resolvedLinks || {};
+  return Object.keys(resolved[path] || {}).length;
+}
+
+/**
+ * Whether a single visibility rule's condition holds for the file.
+ */
+function ruleMatches(app, file, rule, backlinks) {
+  if (!rule || !RULE_TYPES.includes(rule.type)) return false;
+  const value = String(rule.value ?? '').trim();
+
+  switch (rule.type) {
+    case 'always':
+      return true;
+
+    case 'folder': {
+      const folder = value.replace(/^\/+|\/+$/g, '');
+      if (!folder) return true;
+      return file.path.startsWith(folder + '/');
+    }
+
+    case 'tag': {
+      const wanted = normalizeTag(value);
+      if (!wanted) return false;
+      const cache = app.metadataCache.getFileCache(file);
+      const tags = (cache && getAllTags(cache)) || [];
+      return tags.some((t) => {
+        const tag = normalizeTag(t);
+        return tag === wanted || tag.startsWith(wanted + '/');
       });
+    }
 
-    // Per-note mute info
-    new Setting(containerEl)
-      .setName('当前笔记一键开关')
-      .setDesc('通过命令面板：执行 “Graph Banner: 切换当前笔记 Banner 显示” 即可为当前笔记开 / 关 Banner。')
-      .addExtraButton((btn) =>
-        btn
-          .setIcon('search')
-          .setTooltip('打开命令面板（Ctrl/Cmd+P）后搜索 "Graph Banner"')
-      );
+    case 'property': {
+      const key = String(rule.key || '').trim();
+      if (!key) return false;
+      const cache = app.metadataCache.getFileCache(file);
+      const frontmatter = cache && cache.frontmatter;
+      if (!frontmatter || !(key in frontmatter)) return false;
+      if (!value) return true;
+      const actual = frontmatter[key];
+      const values = Array.isArray(actual) ? actual : [actual];
+      return values.some((v) => String(v ?? '').trim() === value);
+    }
+
+    case 'backlinks':
+    case 'links': {
+      const limit = Number(value);
+      if (!value || !Number.isFinite(limit)) return false;
+      const count = rule.type === 'backlinks'
+        ? backlinks.getBacklinks(file.path).length
+        : countOutgoingLinks(app, file.path);
+      return count > limit;
+    }
+
+    default:
+      return false;
   }
 }
 
 /**
- * Main plugin class.
+ * First visibility rule that matches the file, or null.
  */
-class GraphBannerPlugin extends Plugin {
-  async onload() {
-    this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
-    this.graphViews = [];
-    this._layoutTimer = null;
+function findMatchingRule(app, file, rules, backlinks) {
+  if (!Array.isArray(rules)) return null;
+  for (const rule of rules) {
+    if (ruleMatches(app, file, rule, backlinks)) return rule;
+  }
+  return null;
+}
 
-    this.applyBannerHeight();
+/**
+ * 32-bit FNV-1a hash as 8 hex chars. Only used for cache keys.
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
 
-    this.addSettingTab(new GraphBannerSettingTab(this.app, this));
+/**
+ * How long a freshly rendered local graph gets to settle before it is
+ * captured as a snapshot.
+ */
+const SNAPSHOT_CAPTURE_DELAY = 2000;
 
-    // Let Style Settings pick up variables
-    this.app.workspace.trigger('parse-style-settings');
+/**
+ * PNG snapshots of banners, stored in the plugin folder as
+ * `snapshots/<hash of path>-<hash of links and graph state>.png`.
+ */
+class SnapshotCache {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.app = plugin.app;
+  }
 
-    // Commands
-    this.addCommand({
-      id: 'toggle-current-note-banner',
-      name: '切换当前笔记的 Graph Banner 显示',
-      checkCallback: (checking) => {
-        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
-        if (!view || !view.file) return false;
-        if (!checking) {
-          this.toggleCurrentNote(view.file.path);
+  get dir() {
+    const pluginDir = (this.plugin.manifest && this.plugin.manifest.dir) ||
+      this.app.vault.configDir + '/plugins/graph-banner';
+    return normalizePath(pluginDir + '/snapshots');
+  }
+
+  /**
+   * Snapshot key for a note: changes whenever its links, backlinks, the
+   * graph state or the theme change, so stale images are never shown.
+   */
+  getKey(file, state) {
+    const resolved = this.app.metadataCache.resolvedLinks || {};
+    const outgoing = Object.keys(resolved[file.path] || {}).sort();
+    const incoming = this.plugin.backlinks.getBacklinks(file.path).sort();
+    const theme = document.body.hasClass('theme-dark') ? 'dark' : 'light';
+    return hashString(file.path) + '-' + hashString(JSON.stringify([outgoing, incoming, state.options || null, theme]));
+  }
+
+  _pathFor(key) {
+    return this.dir + '/' + key + '.png';
+  }
+
+  async load(key) {
+    const adapter = this.app.vault.adapter;
+    const path = this._pathFor(key);
+    try {
+      if (!(await adapter.exists(path))) return null;
+      return await adapter.readBinary(path);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async save(key, data) {
+    const adapter = this.app.vault.adapter;
+    const dir = this.dir;
+    try {
+      if (!(await adapter.exists(dir))) {
+        await adapter.mkdir(dir);
+      } else {
+        // Drop older snapshots of the same note
+        const prefix = dir + '/' + key.split('-')[0] + '-';
+        const { files } = await adapter.list(dir);
+        for (const path of files) {
+          if (path.startsWith(prefix)) await adapter.remove(path);
         }
-        return true;
-      },
-    });
+      }
+      await adapter.writeBinary(this._pathFor(key), data);
+    } catch (_) {
+      // ignore: the snapshot is captured again on the next visit
+    }
+  }
 
-    // Events
-    this.registerEvent(
-      this.app.workspace.on('file-open', async (file) => {
-        if (!file || file.extension !== 'md') return;
-        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
-        if (!view || view.file !== file) return;
-        await this.placeGraphView(view);
-      })
-    );
+  async clear() {
+    const adapter = this.app.vault.adapter;
+    const dir = this.dir;
+    if (await adapter.exists(dir)) {
+      await adapter.rmdir(dir, true);
+    }
+  }
+}
+
+/**
+ * Upper bound on nodes drawn by the SVG renderer; the layout is O(n²).
+ */
+const SVG_MAX_NODES = 200;
+
+/**
+ * Pairwise repulsions computed per layout; large graphs get fewer
+ * iterations so laying them out doesn't stall the UI.
+ */
+const LAYOUT_MAX_PAIR_STEPS = 2000000;
+
+/**
+ * Neighborhood of a note built from `metadataCache.resolvedLinks`,
+ * honouring the depth, link direction, neighbor link and attachment options.
+ * Incoming links come from `backlinks` (a BacklinkIndex) when given;
+ * without it they are collected from every link in the vault.
+ */
+function buildNeighborhood(resolvedLinks, path, graph, backlinks, maxNodes) {
+  const opts = Object.assign({}, DEFAULT_SETTINGS.graph, graph);
+  const limit = maxNodes || SVG_MAX_NODES;
+  const links = resolvedLinks || {};
+  const allowed = (p) => opts.attachments || p.endsWith('.md');
+
+  let incomingOf = (target) => backlinks.getBacklinks(target);
+  if (!backlinks) {
+    const incoming = new Map();
+    for (const source of Object.keys(links)) {
+      for (const target of Object.keys(links[source] || {})) {
+        if (!incoming.has(target)) incoming.set(target, []);
+        incoming.get(target).push(source);
+      }
+    }
+    incomingOf = (target) => incoming.get(target) || [];
+  }
+
+  // Breadth-first walk up to the configured depth
+  const depthOf = new Map([[path, 0]]);
+  let frontier = [path];
+  for (let depth = 1; depth <= opts.depth && frontier.length > 0; depth++) {
+    const next = [];
+    for (const current of frontier) {
+      const neighbors = [];
+      if (opts.outgoing) neighbors.push(...Object.keys(links[current] || {}));
+      if (opts.incoming) neighbors.push(...incomingOf(current));
+      for (const neighbor of neighbors) {
+        if (depthOf.size >= limit) break;
+        if (depthOf.has(neighbor) || !allowed(neighbor)) continue;
+        depthOf.set(neighbor, depth);
+        next.push(neighbor);
+      }
+    }
+    frontier = next;
+  }
+
+  // Links along the walk, plus links between neighbors when enabled
+  const edges = [];
+  const seen = new Set();
+  for (const source of depthOf.keys()) {
+    for (const target of Object.keys(links[source] || {})) {
+      if (target === source || !depthOf.has(target)) continue;
+      const ds = depthOf.get(source);
+      const dt = depthOf.get(target);
+      const walked = (opts.outgoing && dt === ds + 1) || (opts.incoming && ds === dt + 1);
+      if (!walked && !opts.neighbors) continue;
+
+      const key = source < target ? source + '\n' + target : target + '\n' + source;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      edges.push({ source, target });
+    }
+  }
+
+  const nodes = Array.from(depthOf, ([id, depth]) => ({ id, depth }));
+  return { nodes, links: edges };
+}
+
+/**
+ * Deterministic force layout for a neighborhood. The focused note (depth 0)
+ * is pinned at the origin; returns a Map of node id to { x, y }.
+ * The iteration count is capped by LAYOUT_MAX_PAIR_STEPS.
+ */
+function layoutGraph(graph, forces, iterations) {
+  const opts = Object.assign({}, DEFAULT_SETTINGS.graph, forces);
+  const index = new Map(graph.nodes.map((node, i) => [node.id, i]));
+  const distance = Math.max(1, opts.linkDistance);
+
+  // Seed positions on rings by depth, at an angle derived from the path
+  const pos = graph.nodes.map((node) => {
+    if (node.depth === 0) return { x: 0, y: 0, vx: 0, vy: 0, pinned: true };
+    const angle = (parseInt(hashString(node.id), 16) / 0xffffffff) * Math.PI * 2;
+    const radius = distance * node.depth;
+    return { x: Math.cos(angle) * radius, y: Math.sin(angle) * radius, vx: 0, vy: 0, pinned: false };
+  });
+  const edges = graph.links
+    .map((l) => [index.get(l.source), index.get(l.target)])
+    .filter(([a, b]) => a !== undefined && b !== undefined);
+
+  const pairs = Math.max(1, (pos.length * (pos.length - 1)) / 2);
+  const steps = Math.max(30, Math.min(iterations || 300, Math.floor(LAYOUT_MAX_PAIR_STEPS / pairs)));
+  const decay = Math.pow(0.001, 1 / steps);
+  const charge = opts.repelForce * distance * 2;
+  let alpha = 1;
+
+  for (let step = 0; step < steps; step++) {
+    // Repulsion between every pair
+    for (let i = 0; i < pos.length; i++) {
+      for (let j = i + 1; j < pos.length; j++) {
+        const a = pos[i];
+        const b = pos[j];
+        let dx = b.x - a.x;
+        let dy = b.y - a.y;
+        let d2 = dx * dx + dy * dy;
+        if (d2 < 1) {
+          dx = (i - j) || 1;
+          dy = 1;
+          d2 = dx * dx + dy * dy;
+        }
+        const f = (charge * alpha) / d2;
+        a.vx -= dx * f;
+        a.vy -= dy * f;
+        b.vx += dx * f;
+        b.vy += dy * f;
+      }
+    }
+
+    // Springs along links
+    for (const [i, j] of edges) {
+      const a = pos[i];
+      const b = pos[j];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const d = Math.sqrt(dx * dx + dy * dy) || 1;
+      const k = ((d - distance) / d) * opts.linkForce * alpha * 0.5;
+      a.vx += dx * k;
+      a.vy += dy * k;
+      b.vx -= dx * k;
+      b.vy -= dy * k;
+    }
+
+    for (const p of pos) {
+      if (p.pinned) {
+        p.vx = 0;
+        p.vy = 0;
+        continue;
+      }
+      // Gravity towards the focused note
+      p.vx -= p.x * opts.centerForce * alpha * 0.1;
+      p.vy -= p.y * opts.centerForce * alpha * 0.1;
+      p.x += p.vx;
+      p.y += p.vy;
+      p.vx *= 0.6;
+      p.vy *= 0.6;
+    }
+
+    alpha *= decay;
+  }
+
+  const result = new Map();
+  graph.nodes.forEach((node, i) => result.set(node.id, { x: pos[i].x, y: pos[i].y }));
+  return result;
+}
+
+/**
+ * Map layout positions into a width × height box, centered with padding.
+ * Never scales up, so small neighborhoods keep their natural spacing.
+ */
+function fitPositions(positions, width, height, pad) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const { x, y } of positions.values()) {
+    minX = Math.min(minX, x);
+    minY = Math.min(minY, y);
+    maxX = Math.max(maxX, x);
+    maxY = Math.max(maxY, y);
+  }
+
+  const spanX = Math.max(maxX - minX, 1);
+  const spanY = Math.max(maxY - minY, 1);
+  const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY, 1);
+  const offsetX = width / 2 - ((minX + maxX) / 2) * scale;
+  const offsetY = height / 2 - ((minY + maxY) / 2) * scale;
+  return (id) => {
+    const p = positions.get(id);
+    return { x: p.x * scale + offsetX, y: p.y * scale + offsetY };
+  };
+}
+
+function nodeRadius(degree) {
+  return 3 + Math.sqrt(degree || 0) * 1.5;
+}
+
+function countDegrees(links) {
+  const degree = new Map();
+  for (const link of links) {
+    degree.set(link.source, (degree.get(link.source) || 0) + 1);
+    degree.set(link.target, (degree.get(link.target) || 0) + 1);
+  }
+  return degree;
+}
+
+function nodeLabel(path) {
+  return path.split('/').pop().replace(/\.md$/, '');
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Standalone SVG document for a neighborhood. Colors are inlined so the file
+ * renders the same outside Obsidian.
+ */
+function renderGraphSvg(graph, positions, opts) {
+  const { width, height, palette } = opts;
+  const colors = opts.colors || new Map();
+  const at = fitPositions(positions, width, height, 24);
+  const degree = countDegrees(graph.links);
+  const round = (n) => Math.round(n * 10) / 10;
+
+  const parts = [];
+  parts.push(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height +
+      '" viewBox="0 0 ' + width + ' ' + height + '">'
+  );
+  if (palette.background) {
+    parts.push('<rect width="100%" height="100%" fill="' + escapeXml(palette.background) + '"/>');
+  }
+  parts.push('<g stroke="' + escapeXml(palette.line) + '" stroke-width="1">');
+  for (const link of graph.links) {
+    const a = at(link.source);
+    const b = at(link.target);
+    parts.push(
+      '<line x1="' + round(a.x) + '" y1="' + round(a.y) + '" x2="' + round(b.x) + '" y2="' + round(b.y) + '"/>'
+    );
+  }
+  parts.push('</g>');
+  parts.push('<g font-family="sans-serif" font-size="10" text-anchor="middle">');
+  for (const node of graph.nodes) {
+    const p = at(node.id);
+    const fill = colors.get(node.id) || (node.depth === 0 ? palette.focused : palette.node);
+    parts.push(
+      '<circle cx="' + round(p.x) + '" cy="' + round(p.y) + '" r="' + round(nodeRadius(degree.get(node.id))) +
+        '" fill="' + escapeXml(fill) + '"/>'
+    );
+    parts.push(
+      '<text x="' + round(p.x) + '" y="' + round(p.y - 8) + '" fill="' + escapeXml(palette.text) + '">' +
+        escapeXml(nodeLabel(node.id)) + '</text>'
+    );
+  }
+  parts.push('</g></svg>');
+  return parts.join('\n');
+}
+
+/**
+ * Mermaid `graph` code block for a neighborhood; links keep their direction.
+ */
+function graphToMermaid(graph) {
+  const ids = new Map();
+  graph.nodes.forEach((node, i) => ids.set(node.id, 'n' + i));
+  const label = (path) => '"' + nodeLabel(path).replace(/"/g, '#quot;') + '"';
+
+  const lines = ['```mermaid', 'graph LR'];
+  for (const node of graph.nodes) {
+    lines.push('  ' + ids.get(node.id) + '[' + label(node.id) + ']');
+  }
+  for (const link of graph.links) {
+    lines.push('  ' + ids.get(link.source) + ' --> ' + ids.get(link.target));
+  }
+  const focused = graph.nodes.find((node) => node.depth === 0);
+  if (focused) lines.push('  style ' + ids.get(focused.id) + ' stroke-width:3px');
+  lines.push('```');
+  return lines.join('\n');
+}
+
+/**
+ * Draw an SVG string onto a canvas and encode it as PNG.
+ */
+function rasterizeSvg(svg, width, height) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const img = new Image();
+    img.onload = () => {
+      const scale = window.devicePixelRatio || 1;
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => resolve(blob), 'image/png');
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      resolve(null);
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Workspace event other plugins can listen to while a banner's temporary
+ * localgraph leaf is still in the workspace: `(leaf, waitUntil)`. Pass a
+ * promise to `waitUntil` to keep the leaf around until it settles.
+ */
+const LEAF_READY_EVENT = 'graph-banner:leaf-ready';
+
+/**
+ * Page preview source, listed under Settings → Page preview.
+ */
+const HOVER_LINK_SOURCE = 'graph-banner';
+
+/**
+ * Resolve when `events` fires `name`, or after `timeout` ms. Subscribes
+ * immediately, so an event fired before the promise is awaited isn't missed.
+ */
+function waitForEvent(events, name, timeout) {
+  return new Promise((resolve) => {
+    let timer = null;
+    const ref = events.on(name, () => {
+      window.clearTimeout(timer);
+      events.offref(ref);
+      resolve(true);
+    });
+    timer = window.setTimeout(() => {
+      events.offref(ref);
+      resolve(false);
+    }, timeout);
+  });
+}
+
+/**
+ * How often (ms) waitForGraphRenderer checks the leaf between layout changes.
+ */
+const GRAPH_RENDERER_POLL_INTERVAL = 50;
+
+/**
+ * Resolve once the localgraph view has created its renderer, or after `timeout` ms.
+ * Checked on every workspace layout change, and on a timer as a fallback:
+ * the leaf sits in a hidden tab, where animation frames are throttled.
+ */
+function waitForGraphRenderer(workspace, leaf, timeout) {
+  return new Promise((resolve) => {
+    let ref = null;
+    let interval = null;
+    let timer = null;
+    const finish = (ready) => {
+      workspace.offref(ref);
+      window.clearInterval(interval);
+      window.clearTimeout(timer);
+      resolve(ready);
+    };
+    const check = () => {
+      const view = leaf.view;
+      if (view && view.getViewType() === 'localgraph' && view.renderer) finish(true);
+    };
+    ref = workspace.on('layout-change', check);
+    interval = window.setInterval(check, GRAPH_RENDERER_POLL_INTERVAL);
+    timer = window.setTimeout(() => finish(false), timeout);
+    check();
+  });
+}
+
+/**
+ * Smallest height (px) the drag handle resizes a banner to.
+ */
+const MIN_RESIZE_HEIGHT = 48;
+
+/**
+ * Insert function for the top of a note, used when there is no inline title:
+ * above the properties, or at the start of the editor / reading view.
+ */
+function findNoteTop(modeContainer) {
+  const properties = modeContainer.find('.metadata-container');
+  if (properties && properties.parentElement) {
+    return (node) => properties.parentElement.insertBefore(node, properties);
+  }
+  const sizer = modeContainer.find('.cm-sizer, .markdown-preview-sizer');
+  if (!sizer) return null;
+  // Reading view keeps a spacer first for its virtual scrolling
+  const pusher = sizer.find('.markdown-preview-pusher');
+  return (node) => sizer.insertBefore(node, pusher ? pusher.nextSibling : sizer.firstChild);
+}
+
+/**
+ * Graph view wrapper used by the plugin.
+ * Responsible for hosting the local graph and embedding it under the note title.
+ */
+class GraphView {
+  constructor(app, plugin) {
+    this.app = app;
+    this.plugin = plugin;
+
+    this.leaf = null;
+    this.node = null;
+    this.setupError = null;
+    this.leafReleased = null;
+    this.setupLeafPromise = this._setupLeaf(plugin.settings.timeToRemoveLeaf);
+
+    this.currentFilePath = null;
+    this.currentStateKey = null;
+    this.compact = false;
+    this.mobileSimplified = false;
+    this.collapsed = false;
+
+    // Page preview popover opened from a node (HoverParent)
+    this.hoverPopover = null;
+
+    // Where the banner was last attached, and for which Markdown view
+    this.placement = null;
+    this.ownerView = null;
+
+    // Pool bookkeeping: placement tick of the last time this banner was shown
+    this.lastVisibleAt = 0;
+
+    // Off-screen banners (background tab, scrolled away, window hidden) are paused
+    this.paused = false;
+    this._onScreen = true;
+    this._visibilityObserver = null;
+    this._visibilityAbort = null;
+    this._pausedTicker = false;
+
+    // Snapshot mode: state to load once the user activates the banner
+    this.showingSnapshot = false;
+    this.pendingState = null;
+    this.pendingStateKey = null;
+    this.snapshotEl = null;
+    this.snapshotUrl = null;
+    this.snapshotData = null;
+    this._captureTimer = null;
+
+    // Collapsed strip label, created with the banner's controls
+    this.collapsedLabelEl = null;
+  }
+
+  async _setupLeaf(timeToRemoveLeaf) {
+    // Subscribe before opening the leaf so its layout-change can't be missed
+    const layoutChanged = timeToRemoveLeaf > 0
+      ? waitForEvent(this.app.workspace, 'layout-change', timeToRemoveLeaf)
+      : Promise.resolve(false);
+
+    try {
+      this.leaf = this.app.workspace.getLeaf('tab');
+      // @ts-ignore private API – keep the temporary tab out of the tab bar
+      if (this.leaf.tabHeaderEl) this.leaf.tabHeaderEl.hide();
+      await this.leaf.setViewState({ type: 'localgraph' });
+    } catch (error) {
+      this.setupError = error;
+      this._removeLeafFromParent();
+      try {
+        if (this.leaf) this.leaf.detach();
+      } catch (_) {
+        // ignore
+      }
+      this.plugin.reportLeafError();
+      return;
+    }
+
+    const node = this.leaf.view.containerEl.find('.view-content');
+    this.node = node;
+
+    this._setupNode();
+    this._hookNodeEvents();
+    this._setupVisibilityTracking();
+
+    // Released in the background: the banner can be placed right away
+    this.leafReleased = this._releaseLeaf(layoutChanged, timeToRemoveLeaf);
+  }
+
+  /**
+   * Take the temporary leaf out of the workspace once the graph view is
+   * ready and integrations (e.g. Sync Graph Settings, which reacts to
+   * layout changes) had their turn, or after `timeout` ms at the latest.
+   */
+  async _releaseLeaf(layoutChanged, timeout) {
+    if (timeout > 0) {
+      const holds = [];
+      const waitUntil = (promise) => {
+        holds.push(Promise.resolve(promise).catch(() => {}));
+      };
+      const ready = waitForGraphRenderer(this.app.workspace, this.leaf, timeout).then(() => {
+        this.app.workspace.trigger(LEAF_READY_EVENT, this.leaf, waitUntil);
+      });
+      let timer = null;
+      const deadline = new Promise((resolve) => {
+        timer = window.setTimeout(resolve, timeout);
+      });
+      await Promise.race([
+        Promise.all([ready, layoutChanged]).then(() => Promise.all(holds)),
+        deadline,
+      ]);
+      window.clearTimeout(timer);
+    }
+    this._removeLeafFromParent();
+  }
+
+  _removeLeafFromParent() {
+    try {
+      if (this.leaf && this.leaf.parent) {
+        // @ts-ignore private API – same hack as original plugin
+        this.leaf.parent.removeChild(this.leaf);
+      }
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  _setupNode() {
+    const node = this.node;
+    if (!node) return;
+
+    node.addClass('graph-banner-content');
+
+    const controls = node.find('.graph-controls');
+    if (controls) controls.toggleClass('is-close', true);
+
+    const overlay = document.createElement('div');
+    overlay.addClass('graph-banner-overlay');
+    overlay.style.pointerEvents = 'auto';
+    node.insertBefore(overlay, node.querySelector('canvas'));
+
+    this._setupResizeHandle();
+
+    // Cached image shown instead of the canvas in snapshot mode
+    const snapshot = document.createElement('img');
+    snapshot.addClass('graph-banner-snapshot');
+    snapshot.setAttr('alt', '');
+    node.insertBefore(snapshot, overlay);
+    this.snapshotEl = snapshot;
+
+    // Small settings button overlayed on top-right
+    const settingsBtn = document.createElement('div');
+    settingsBtn.addClass('graph-banner-settings-button');
+    settingsBtn.setAttr('aria-label', 'Graph Banner settings');
+    settingsBtn.setAttr('role', 'button');
+    settingsBtn.addEventListener('click', () => {
+      if (this.plugin && typeof this.plugin.openSettingsPanel === 'function') {
+        this.plugin.openSettingsPanel();
+      }
+    });
+    overlay.appendChild(settingsBtn);
+
+    // Export button, left of the settings button
+    const exportBtn = document.createElement('div');
+    exportBtn.addClass('graph-banner-export-button');
+    exportBtn.setAttr('aria-label', t('banner.export'));
+    exportBtn.setAttr('role', 'button');
+    // Don't let the click fall through and activate the banner
+    exportBtn.addEventListener('pointerup', (e) => e.stopPropagation());
+    exportBtn.addEventListener('click', (e) => {
+      const menu = new Menu();
+      for (const format of EXPORT_FORMATS) {
+        menu.addItem((item) =>
+          item
+            .setTitle(format.name)
+            .setIcon(format.icon)
+            .onClick(() => this.plugin.exportBanner(format.id, this))
+        );
+      }
+      menu.showAtMouseEvent(e);
+    });
+    overlay.appendChild(exportBtn);
+
+    // Collapse button, left of the export button
+    const collapseBtn = document.createElement('div');
+    collapseBtn.addClass('graph-banner-collapse-button');
+    collapseBtn.setAttr('aria-label', t('collapse.toggle'));
+    collapseBtn.setAttr('role', 'button');
+    collapseBtn.addEventListener('pointerup', (e) => e.stopPropagation());
+    collapseBtn.addEventListener('click', () => this._toggleCollapsed());
+    overlay.appendChild(collapseBtn);
+
+    // Neighbor count shown on the collapsed strip
+    this.collapsedLabelEl = document.createElement('div');
+    this.collapsedLabelEl.addClass('graph-banner-collapsed-label');
+    overlay.appendChild(this.collapsedLabelEl);
+
+    // Nodes can be opened and previewed without entering interactive mode
+    let hoveredPath = null;
+    overlay.addEventListener('pointermove', (e) => {
+      const path = e.target === overlay && !this.collapsed ? this._nodeAt(e) : null;
+      overlay.toggleClass('is-over-node', !!path);
+      if (path && path !== hoveredPath) this.hoverNode(path, e, overlay);
+      hoveredPath = path;
+    });
+    overlay.addEventListener('pointerleave', () => {
+      hoveredPath = null;
+      overlay.removeClass('is-over-node');
+    });
+
+    // Overlay controls interactive mode
+    overlay.addEventListener('pointerup', async (e) => {
+      if (this.isActive()) return;
+      // Clicking the collapsed strip expands it
+      if (this.collapsed) {
+        this._toggleCollapsed();
+        return;
+      }
+      const path = e.target === overlay ? this._nodeAt(e) : null;
+      if (path && path !== this.getFilePath()) {
+        this.openNode(path, e);
+        return;
+      }
+      if (this.showingSnapshot) {
+        try {
+          await this.activateLive();
+        } catch (_) {
+          this.setActive(false);
+          new Notice(t('notice.liveFailed'));
+          return;
+        }
+      }
+      this.setActive(true);
+
+      const abortController = new AbortController();
+      document.addEventListener(
+        'pointerdown',
+        (e) => {
+          if (!this.isActive()) return;
+          const target = e.target;
+          if (target && node.contains(target)) return;
+          this.setActive(false);
+          abortController.abort();
+        },
+        { signal: abortController.signal }
+      );
+    });
+  }
+
+  isActive() {
+    return this.node && this.node.dataset['interactive'] === 'true';
+  }
+
+  /**
+   * Drag handle on the bottom edge: resizes live and remembers the height
+   * for the note (or its folder) on release. Double-click resets it.
+   */
+  _setupResizeHandle() {
+    const node = this.node;
+    const handle = document.createElement('div');
+    handle.addClass('graph-banner-resize-handle');
+    node.appendChild(handle);
+
+    let drag = null;
+    handle.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      e.stopPropagation();
+      // Compact and mobile banners show a fraction of --banner-height
+      const previous = node.style.getPropertyValue('--banner-height') || null;
+      const shown = node.getBoundingClientRect().height;
+      this.setHeight(shown + 'px');
+      const scaled = node.getBoundingClientRect().height;
+      drag = { y: e.clientY, shown, ratio: shown && scaled ? scaled / shown : 1, previous, height: null };
+      handle.setPointerCapture(e.pointerId);
+      node.addClass('graph-banner-resizing');
+    });
+    handle.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      const shown = Math.max(MIN_RESIZE_HEIGHT, drag.shown + e.clientY - drag.y);
+      drag.height = Math.round(shown / drag.ratio) + 'px';
+      this.setHeight(drag.height);
+      if (this.leaf && !this.showingSnapshot && !drag.frame) {
+        drag.frame = window.requestAnimationFrame(() => {
+          if (drag) drag.frame = null;
+          this._resizeView();
+        });
+      }
+    });
+    const endDrag = (e) => {
+      if (!drag) return;
+      e.stopPropagation();
+      const { height, previous } = drag;
+      drag = null;
+      node.removeClass('graph-banner-resizing');
+      const path = this.getFilePath();
+      if (!height || !path) {
+        this.setHeight(previous);
+        return;
+      }
+      if (this.leaf && !this.showingSnapshot) this._resizeView();
+      this.plugin.rememberBannerHeight(path, height);
+    };
+    handle.addEventListener('pointerup', endDrag);
+    handle.addEventListener('pointercancel', endDrag);
+    handle.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      const path = this.getFilePath();
+      if (path) this.plugin.forgetBannerHeight(path);
+    });
+  }
+
+  /**
+   * Open a node's note in the current pane, or a new one on modifier-click.
+   */
+  openNode(path, e) {
+    this.app.workspace.openLinkText(path, this.getFilePath() || '', Keymap.isModEvent(e));
+  }
+
+  /**
+   * Show Obsidian's page preview for a node.
+   */
+  hoverNode(path, e, targetEl) {
+    this.app.workspace.trigger('hover-link', {
+      event: e,
+      source: HOVER_LINK_SOURCE,
+      hoverParent: this,
+      targetEl,
+      linktext: path,
+      sourcePath: this.getFilePath() || '',
+    });
+  }
+
+  /**
+   * Route the local graph's own node clicks and hovers (interactive mode)
+   * through openNode/hoverNode. Tag nodes keep their default behaviour.
+   */
+  _hookNodeEvents() {
+    // @ts-ignore private API – node handlers of the localgraph view
+    const view = this.leaf && this.leaf.view;
+    if (!view) return;
+    const onNodeClick = view.onNodeClick;
+    const onNodeHover = view.onNodeHover;
+    if (typeof onNodeClick === 'function') {
+      view.onNodeClick = (e, id, type) => {
+        if (type === 'tag') return onNodeClick.call(view, e, id, type);
+        this.openNode(id, e);
+      };
+    }
+    if (typeof onNodeHover === 'function') {
+      view.onNodeHover = (e, id, type) => {
+        if (type === 'tag') return onNodeHover.call(view, e, id, type);
+        this.hoverNode(id, e, this.node);
+      };
+    }
+  }
+
+  /**
+   * Path of the node under the pointer, or null.
+   */
+  _nodeAt(e) {
+    if (this.showingSnapshot || !this.node) return null;
+    // @ts-ignore private API – the graph renderer works in device pixels
+    const renderer = this.leaf && this.leaf.view && this.leaf.view.renderer;
+    const canvas = this.node.querySelector('canvas');
+    if (!renderer || !Array.isArray(renderer.nodes) || !canvas || !renderer.scale) return null;
+
+    const ratio = window.devicePixelRatio || 1;
+    const rect = canvas.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) * ratio - renderer.panX) / renderer.scale;
+    const y = ((e.clientY - rect.top) * ratio - renderer.panY) / renderer.scale;
+    const slack = (4 * ratio) / renderer.scale;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const node of renderer.nodes) {
+      if (node.type === 'tag' || typeof node.x !== 'number') continue;
+      const size = typeof node.getSize === 'function' ? node.getSize() : 4;
+      const dist = Math.hypot(node.x - x, node.y - y);
+      if (dist <= size * (renderer.nodeScale || 1) + slack && dist < bestDist) {
+        best = node;
+        bestDist = dist;
+      }
+    }
+    return best ? best.id : null;
+  }
+
+  /**
+   * Path of the note this banner shows, including a snapshot awaiting activation.
+   */
+  getFilePath() {
+    if (this.showingSnapshot && this.pendingState) return this.pendingState.file;
+    return this.currentFilePath;
+  }
+
+  /**
+   * PNG of what the banner currently shows, or null if it can't be captured.
+   */
+  async capturePng() {
+    if (this.showingSnapshot && this.snapshotData) {
+      return new Blob([this.snapshotData], { type: 'image/png' });
+    }
+    if (!this.leaf || !this.leaf.view) return null;
+    return this._captureCanvas();
+  }
+
+
+  setActive(active) {
+    if (!this.node) return;
+    this.node.dataset['interactive'] = String(active);
+    const overlay = this.node.querySelector('.graph-banner-overlay');
+    if (overlay) {
+      overlay.style.pointerEvents = active ? 'none' : 'auto';
+    }
+    if (active) {
+      this.node.addClass('graph-banner-active');
+      const path = this.getFilePath();
+      const file = path && this.plugin.app.vault.getFileByPath(path);
+      if (file) this.plugin.api.trigger('activated', file);
+    } else {
+      this.node.removeClass('graph-banner-active');
+    }
+  }
+
+  /**
+   * Shrink the banner to a strip showing the neighbor count. The renderer
+   * is paused while collapsed.
+   */
+  setCollapsed(collapsed, neighborCount) {
+    this.collapsed = !!collapsed;
+    if (!this.node) return;
+    this.node.toggleClass('graph-banner-collapsed', this.collapsed);
+    if (this.collapsedLabelEl) {
+      const count = neighborCount || 0;
+      this.collapsedLabelEl.setText(
+        count === 1 ? t('collapse.neighborOne') : t('collapse.neighbors', { count })
+      );
+    }
+    if (this.collapsed && this.isActive()) this.setActive(false);
+    this._updatePaused();
+  }
+
+  _toggleCollapsed() {
+    const path = this.getFilePath();
+    if (path) this.plugin.setNoteCollapsed(path, !this.collapsed);
+  }
+
+  setCompact(compact) {
+    this.compact = !!compact;
+    if (!this.node) return;
+    this.node.toggleClass('graph-banner-compact', this.compact);
+  }
+
+  setMobileSimplified(flag) {
+    this.mobileSimplified = !!flag;
+    if (!this.node) return;
+    this.node.toggleClass('graph-banner-mobile-simplified', this.mobileSimplified);
+  }
+
+  /**
+   * Per-banner height override. Falls back to the global --banner-height
+   * when no height is given.
+   */
+  setHeight(height) {
+    if (!this.node) return;
+    if (height) {
+      this.node.style.setProperty('--banner-height', height);
+    } else {
+      this.node.style.removeProperty('--banner-height');
+    }
+  }
+
+  async forceRefresh(view, opts) {
+    this.currentFilePath = null;
+    this.currentStateKey = null;
+    return this.placeTo(view, opts);
+  }
+
+  async _applyState(state, stateKey) {
+    await this.leaf.setViewState({
+      type: 'localgraph',
+      state,
+    });
+    this.leaf.setGroup(state.file);
+    this.currentFilePath = state.file;
+    this.currentStateKey = stateKey;
+    // A new state restarts the simulation; keep it paused while off-screen
+    if (this.paused) this._pauseRenderer();
+  }
+
+  _showSnapshot(data, state, stateKey) {
+    if (!this.node || !this.snapshotEl) return;
+    const url = URL.createObjectURL(new Blob([data], { type: 'image/png' }));
+    this.snapshotEl.src = url;
+    if (this.snapshotUrl) URL.revokeObjectURL(this.snapshotUrl);
+    this.snapshotUrl = url;
+    this.snapshotData = data;
+
+    this.node.addClass('graph-banner-snapshot-mode');
+    this.showingSnapshot = true;
+    this.pendingState = state;
+    this.pendingStateKey = stateKey;
+    // The live graph behind the snapshot would keep simulating unseen
+    this._updatePaused();
+  }
+
+  _hideSnapshot() {
+    this.showingSnapshot = false;
+    this.pendingState = null;
+    this.pendingStateKey = null;
+    if (this.node) this.node.removeClass('graph-banner-snapshot-mode');
+    this.snapshotData = null;
+    if (this.snapshotEl) this.snapshotEl.removeAttribute('src');
+    if (this.snapshotUrl) {
+      URL.revokeObjectURL(this.snapshotUrl);
+      this.snapshotUrl = null;
+    }
+    this._updatePaused();
+  }
+
+  /**
+   * Replace the snapshot with the live local graph it was taken from.
+   */
+  async activateLive() {
+    if (!this.showingSnapshot) return;
+    const state = this.pendingState;
+    const stateKey = this.pendingStateKey;
+    this._hideSnapshot();
+    if (state && this.currentStateKey !== stateKey) {
+      await this._applyState(state, stateKey);
+    }
+    this._resizeView();
+  }
+
+  _scheduleCapture(key, stateKey) {
+    if (this._captureTimer !== null) window.clearTimeout(this._captureTimer);
+    this._captureTimer = window.setTimeout(async () => {
+      this._captureTimer = null;
+      // The banner moved on or isn't rendered; the next visit will retry
+      if (this.showingSnapshot || this.currentStateKey !== stateKey) return;
+      if (!this.node || !this.node.isConnected || this.node.hasClass('hidden')) return;
+
+      const blob = await this._captureCanvas();
+      if (!blob || this.currentStateKey !== stateKey) return;
+      await this.plugin.snapshots.save(key, await blob.arrayBuffer());
+    }, SNAPSHOT_CAPTURE_DELAY);
+  }
+
+  _captureCanvas() {
+    let canvas = null;
+    try {
+      // @ts-ignore private API – PIXI extract also works without preserveDrawingBuffer
+      const px = this.leaf.view && this.leaf.view.renderer && this.leaf.view.renderer.px;
+      if (px && px.renderer && px.renderer.extract) {
+        canvas = px.renderer.extract.canvas(px.stage);
+      }
+    } catch (_) {
+      canvas = null;
+    }
+    if (!canvas) canvas = this.node && this.node.querySelector('canvas');
+    if (!canvas || !canvas.width || !canvas.height) return Promise.resolve(null);
+    return new Promise((resolve) => canvas.toBlob((blob) => resolve(blob), 'image/png'));
+  }
+
+  /**
+   * Pause the graph while the banner is off-screen and resume it when it
+   * comes back. Background tabs and hidden banners are `display: none`,
+   * so the observer covers them as well as scrolling.
+   */
+  _setupVisibilityTracking() {
+    if (!this.node || typeof IntersectionObserver === 'undefined') return;
+
+    this._visibilityObserver = new IntersectionObserver((entries) => {
+      const entry = entries[entries.length - 1];
+      this._onScreen = !!entry && entry.isIntersecting;
+      this._updatePaused();
+    });
+    this._visibilityObserver.observe(this.node);
+
+    this._visibilityAbort = new AbortController();
+    document.addEventListener('visibilitychange', () => this._updatePaused(), {
+      signal: this._visibilityAbort.signal,
+    });
+  }
+
+  _updatePaused() {
+    const paused = !this._onScreen || document.hidden || this.collapsed || this.showingSnapshot;
+    if (paused === this.paused) return;
+    this.paused = paused;
+    if (paused) {
+      this._pauseRenderer();
+    } else {
+      this._resumeRenderer();
+    }
+  }
+
+  _pauseRenderer() {
+    const renderer = this.leaf && this.leaf.view && this.leaf.view.renderer;
+    if (!renderer) return;
+    try {
+      // @ts-ignore private API – the force simulation runs in a worker
+      if (renderer.worker) renderer.worker.postMessage({ run: false });
+      // @ts-ignore private API – PIXI application drawing the graph
+      const ticker = renderer.px && renderer.px.ticker;
+      if (ticker && ticker.started) {
+        ticker.stop();
+        this._pausedTicker = true;
+      }
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  _resumeRenderer() {
+    const renderer = this.leaf && this.leaf.view && this.leaf.view.renderer;
+    if (!renderer) return;
+    try {
+      // @ts-ignore private API
+      if (renderer.worker) renderer.worker.postMessage({ run: true });
+      // @ts-ignore private API
+      const ticker = renderer.px && renderer.px.ticker;
+      if (ticker && this._pausedTicker) ticker.start();
+      this._pausedTicker = false;
+      // @ts-ignore private API – redraw the frame skipped while paused
+      if (typeof renderer.changed === 'function') renderer.changed();
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  _resizeView() {
+    // Ensure the underlying local graph view is aware of the new container size.
+    const viewInstance = this.leaf.view;
+    if (viewInstance && typeof viewInstance.onResize === 'function') {
+      try {
+        viewInstance.onResize();
+      } catch (_) {
+        // ignore
+      }
+    }
+  }
+
+  async placeTo(view, opts) {
+    await this.setupLeafPromise;
+    if (!this.node) return;
+
+    const file = view.file;
+    if (!file) return;
+
+    const filePath = file.path;
+    const state = { file: filePath };
+    if (opts && opts.graph) {
+      state.options = toLocalGraphOptions(opts.graph);
+    }
+    if (opts && opts.colorGroups) {
+      // Always set, even when empty, so the main graph's groups never leak in
+      state.options = Object.assign({}, state.options, {
+        colorGroups: toGraphColorGroups(opts.colorGroups),
+      });
+    }
+    const stateKey = JSON.stringify(state);
+
+    if (opts && opts.snapshot) {
+      const liveHere = !this.showingSnapshot && this.currentStateKey === stateKey;
+      const snapshotHere = this.showingSnapshot && this.pendingStateKey === stateKey;
+      if (!liveHere && !snapshotHere) {
+        const key = this.plugin.snapshots.getKey(file, state);
+        const data = await this.plugin.snapshots.load(key);
+        if (data) {
+          this._showSnapshot(data, state, stateKey);
+        } else {
+          this._hideSnapshot();
+          await this._applyState(state, stateKey);
+          this._scheduleCapture(key, stateKey);
+        }
+      }
+    } else {
+      if (this.showingSnapshot) this._hideSnapshot();
+      if (this.currentStateKey !== stateKey) {
+        await this._applyState(state, stateKey);
+      }
+    }
+
+    if (!this._attach(view, opts)) return;
+    if (!this.showingSnapshot) this._resizeView();
+  }
+
+  /**
+   * Insert the banner node at the configured placement and apply the
+   * per-placement display options. Returns false if there is nowhere to put it.
+   */
+  _attach(view, opts) {
+    const placement = (opts && opts.placement) || DEFAULT_SETTINGS.placement;
+    const target = this._findPlacementTarget(view, placement);
+    if (!target) return false;
+
+    if (this.placement !== placement || !this.isDescendantOf(target.container)) {
+      target.insert(this.node);
+    }
+    this.placement = placement;
+    this.ownerView = view;
+    this.node.toggleClass('graph-banner-corner', placement === 'corner');
+    this.node.toggleClass('graph-banner-embed', placement === 'embed');
+    // Banners in the flow of the note can be resized and collapsed
+    const inline = ['title', 'properties', 'end'].includes(placement);
+    this.node.toggleClass('graph-banner-inline', inline);
+
+    this.node.addClass('graph-banner-visible');
+    if (opts) {
+      this.setCompact(!!opts.compact);
+      this.setMobileSimplified(!!opts.mobileSimplified);
+      this.setHeight(opts.height || null);
+      this.setCollapsed(inline && !!opts.collapsed, opts.neighborCount);
+    }
+    return true;
+  }
+
+  /**
+   * Where the banner goes for a placement: `container` holds it (moving to
+   * another view mode re-inserts it) and `insert` puts the node in place.
+   */
+  _findPlacementTarget(view, placement) {
+    if (placement === 'embed' || placement === 'block') {
+      const container = view.containerEl;
+      return { container, insert: (node) => container.prepend(node) };
+    }
+    if (placement === 'sidebar') {
+      const container = this.plugin.getSidebarContainer();
+      return container && { container, insert: (node) => container.appendChild(node) };
+    }
+
+    const modeContainer = view.containerEl.find('.markdown-' + view.getMode() + '-view');
+    if (!modeContainer) return null;
+    const at = (insert) => insert && { container: modeContainer, insert };
+
+    if (placement === 'corner') {
+      const content = modeContainer.parentElement;
+      return content && { container: content, insert: (node) => content.appendChild(node) };
+    }
+    if (placement === 'end') {
+      const footer = modeContainer.find('.mod-footer');
+      if (footer) return at((node) => footer.prepend(node));
+      const sizer = modeContainer.find('.cm-sizer, .markdown-preview-sizer');
+      return sizer && at((node) => sizer.appendChild(node));
+    }
+    if (placement === 'properties') {
+      const properties = modeContainer.find('.metadata-container');
+      if (properties && properties.parentElement) {
+        return at((node) => properties.parentElement.insertAfter(node, properties));
+      }
+    }
+
+    const title = modeContainer.find('.inline-title');
+    if (title && title.parentElement && getComputedStyle(title).display !== 'none') {
+      return at((node) => title.parentElement.insertAfter(node, title));
+    }
+    return at(findNoteTop(modeContainer));
+  }
+
+  isDescendantOf(parent) {
+    if (!this.node || !parent) return false;
+    return parent.contains(this.node);
+  }
+
+  /**
+   * Whether this banner is currently shown for a Markdown view.
+   */
+  isPlacedIn(view) {
+    if (this.placement === 'sidebar') {
+      return this.ownerView === view && !!this.node && this.node.isConnected;
+    }
+    return this.isDescendantOf(view.containerEl);
+  }
+
+  isShown() {
+    return !!this.node && !this.node.hasClass('hidden');
+  }
+
+  setVisibility(show) {
+    if (!this.node) return;
+    this.node.toggleClass('hidden', !show);
+    if (show) {
+      this.node.addClass('graph-banner-visible');
+    } else {
+      this.node.removeClass('graph-banner-visible');
+    }
+  }
+
+  detach() {
+    if (this._captureTimer !== null) {
+      window.clearTimeout(this._captureTimer);
+      this._captureTimer = null;
+    }
+    if (this._visibilityObserver) {
+      this._visibilityObserver.disconnect();
+      this._visibilityObserver = null;
+    }
+    if (this._visibilityAbort) {
+      this._visibilityAbort.abort();
+      this._visibilityAbort = null;
+    }
+    this._hideSnapshot();
+    try {
+      this.leaf.detach();
+    } catch (_) {
+      // ignore
+    }
+    if (this.node) {
+      this.node.removeClass('graph-banner-content');
+      this.node.remove();
+    }
+  }
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Current theme's graph colors, for files rendered outside the DOM.
+ */
+function readGraphPalette() {
+  const style = getComputedStyle(document.body);
+  const read = (name, fallback) => style.getPropertyValue(name).trim() || fallback;
+  return {
+    background: read('--background-primary', '#ffffff'),
+    line: read('--graph-line', '#bbbbbb'),
+    node: read('--graph-node', '#888888'),
+    focused: read('--graph-node-focused', '#7f6df2'),
+    text: read('--graph-text', '#333333'),
+  };
+}
+
+const EXPORT_FORMATS = [
+  { id: 'png', name: 'PNG', icon: 'image' },
+  { id: 'svg', name: 'SVG', icon: 'shapes' },
+  { id: 'mermaid', name: 'Mermaid', icon: 'code' },
+];
+
+/**
+ * Whether a note matches a color group query. Supports a small subset of the
+ * search syntax: `path:`, `file:` and `tag:` terms plus plain text matched
+ * against the path. All terms must match.
+ */
+function matchesColorQuery(app, path, query) {
+  const terms = String(query || '').trim().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return false;
+
+  const lowerPath = path.toLowerCase();
+  const fileName = lowerPath.split('/').pop();
+  let tags = null;
+
+  return terms.every((term) => {
+    const m = /^(path|file|tag):(.*)$/i.exec(term);
+    const kind = m ? m[1].toLowerCase() : 'text';
+    const value = (m ? m[2] : term).replace(/^"|"$/g, '').toLowerCase();
+    if (!value) return true;
+
+    if (kind === 'path' || kind === 'text') return lowerPath.includes(value);
+    if (kind === 'file') return fileName.includes(value);
+
+    if (tags === null) {
+      const file = app.vault.getFileByPath(path);
+      const cache = file && app.metadataCache.getFileCache(file);
+      tags = ((cache && getAllTags(cache)) || []).map(normalizeTag);
+    }
+    const wanted = normalizeTag(value);
+    return tags.some((tag) => tag === wanted || tag.startsWith(wanted + '/'));
+  });
+}
+
+/**
+ * Color of each node from the first matching color group.
+ */
+function resolveNodeColors(app, graph, colorGroups) {
+  const colors = new Map();
+  const groups = (colorGroups || []).filter((g) => g && /^#[0-9a-f]{6}$/i.test(g.color || ''));
+  for (const node of graph.nodes) {
+    const group = groups.find((g) => matchesColorQuery(app, node.id, g.query));
+    if (group) colors.set(node.id, group.color);
+  }
+  return colors;
+}
+
+/**
+ * Self-contained banner renderer: builds the neighborhood from
+ * `metadataCache.resolvedLinks` and draws it as SVG with a small force
+ * layout. Unlike GraphView it needs no localgraph leaf or private API.
+ * Tags and the search filter are not supported.
+ */
+class SvgGraphView extends GraphView {
+  async _setupLeaf() {
+    const node = document.createElement('div');
+    node.addClass('graph-banner-svg');
+    this.node = node;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '100%');
+    this.svg = svg;
+    this.viewportEl = document.createElementNS(SVG_NS, 'g');
+    svg.appendChild(this.viewportEl);
+    node.appendChild(svg);
+
+    this.graph = null;
+    this.positions = null;
+    this.viewport = { scale: 1, x: 0, y: 0 };
+
+    this._setupNode();
+    this._setupPanZoom();
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this._resizeObserver = new ResizeObserver(() => this._draw());
+      this._resizeObserver.observe(node);
+    }
+  }
+
+  _setupPanZoom() {
+    const svg = this.svg;
+
+    svg.addEventListener('wheel', (e) => {
+      if (!this.isActive()) return;
+      e.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const cx = e.clientX - rect.left;
+      const cy = e.clientY - rect.top;
+      const vp = this.viewport;
+      const next = Math.min(8, Math.max(0.2, vp.scale * Math.exp(-e.deltaY * 0.002)));
+      vp.x = cx - ((cx - vp.x) * next) / vp.scale;
+      vp.y = cy - ((cy - vp.y) * next) / vp.scale;
+      vp.scale = next;
+      this._applyViewport();
+    }, { passive: false });
+
+    let drag = null;
+    svg.addEventListener('pointerdown', (e) => {
+      if (!this.isActive() || e.button !== 0) return;
+      // Leave clicks on nodes alone; pointer capture would swallow them
+      if (e.target instanceof Element && e.target.closest('.graph-banner-svg-node')) return;
+      drag = { x: e.clientX, y: e.clientY, vx: this.viewport.x, vy: this.viewport.y };
+      svg.setPointerCapture(e.pointerId);
+    });
+    svg.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+      this.viewport.x = drag.vx + e.clientX - drag.x;
+      this.viewport.y = drag.vy + e.clientY - drag.y;
+      this._applyViewport();
+    });
+    const endDrag = () => {
+      drag = null;
+    };
+    svg.addEventListener('pointerup', endDrag);
+    svg.addEventListener('pointercancel', endDrag);
+  }
+
+  _applyViewport() {
+    const { scale, x, y } = this.viewport;
+    this.viewportEl.setAttribute('transform', 'translate(' + x + ' ' + y + ') scale(' + scale + ')');
+  }
+
+  async placeTo(view, opts) {
+    await this.setupLeafPromise;
+    if (!this.node) return;
+
+    const file = view.file;
+    if (!file) return;
+
+    const graphOpts = Object.assign({}, DEFAULT_SETTINGS.graph, opts && opts.graph);
+    const graph = buildNeighborhood(this.app.metadataCache.resolvedLinks, file.path, graphOpts, this.plugin.backlinks);
+    const colorGroups = (opts && opts.colorGroups) || [];
+    const stateKey = JSON.stringify([graph, graphOpts, colorGroups]);
+
+    if (this.currentStateKey !== stateKey) {
+      if (this.currentFilePath !== file.path) {
+        this.viewport = { scale: 1, x: 0, y: 0 };
+        this._applyViewport();
+      }
+      this.graph = graph;
+      this.positions = layoutGraph(graph, graphOpts);
+      this.colors = resolveNodeColors(this.app, graph, colorGroups);
+      this.currentFilePath = file.path;
+      this.currentStateKey = stateKey;
+      this._build();
+    }
+
+    if (!this._attach(view, opts)) return;
+    this._draw();
+  }
+
+  /**
+   * Create the SVG elements for the current graph. Positions are set in _draw.
+   */
+  _build() {
+    const root = this.viewportEl;
+    while (root.firstChild) root.removeChild(root.firstChild);
+    this.linkEls = [];
+    this.nodeEls = [];
+
+    const degree = countDegrees(this.graph.links);
+
+    for (const link of this.graph.links) {
+      const line = document.createElementNS(SVG_NS, 'line');
+      line.setAttribute('class', 'graph-banner-svg-link');
+      root.appendChild(line);
+      this.linkEls.push({ el: line, link });
+    }
+
+    for (const node of this.graph.nodes) {
+      const g = document.createElementNS(SVG_NS, 'g');
+      let cls = 'graph-banner-svg-node';
+      if (node.depth === 0) cls += ' is-focused';
+      if (!node.id.endsWith('.md')) cls += ' is-attachment';
+      g.setAttribute('class', cls);
+      g.dataset.path = node.id;
+
+      const circle = document.createElementNS(SVG_NS, 'circle');
+      circle.setAttribute('r', String(nodeRadius(degree.get(node.id))));
+      const color = this.colors.get(node.id);
+      if (color) circle.style.fill = color;
+      g.appendChild(circle);
+
+      const label = document.createElementNS(SVG_NS, 'text');
+      label.setAttribute('dy', '-8');
+      label.textContent = nodeLabel(node.id);
+      g.appendChild(label);
+
+      const title = document.createElementNS(SVG_NS, 'title');
+      title.textContent = node.id;
+      g.appendChild(title);
+
+      g.addEventListener('pointerenter', (e) => {
+        this._highlight(node.id, true);
+        this.hoverNode(node.id, e, g);
+      });
+      g.addEventListener('pointerleave', () => this._highlight(node.id, false));
+      g.addEventListener('click', (e) => {
+        if (!this.isActive() || node.depth === 0) return;
+        this.openNode(node.id, e);
+      });
+
+      root.appendChild(g);
+      this.nodeEls.push({ el: g, node, radius: nodeRadius(degree.get(node.id)) });
+    }
+  }
+
+  _highlight(path, on) {
+    this.node.toggleClass('has-highlight', on);
+    for (const { el, link } of this.linkEls || []) {
+      const touches = link.source === path || link.target === path;
+      el.classList.toggle('is-highlighted', on && touches);
+    }
+    for (const { el, node } of this.nodeEls || []) {
+      el.classList.toggle('is-highlighted', on && node.id === path);
+    }
+  }
+
+  /**
+   * Fit the layout into the banner's current size.
+   */
+  _draw() {
+    if (!this.node || !this.positions || !this.graph) return;
+    const width = this.node.clientWidth;
+    const height = this.node.clientHeight;
+    if (!width || !height) return;
+
+    const at = fitPositions(this.positions, width, height, 24);
+    this._at = at;
+
+    for (const { el, link } of this.linkEls) {
+      const a = at(link.source);
+      const b = at(link.target);
+      el.setAttribute('x1', String(a.x));
+      el.setAttribute('y1', String(a.y));
+      el.setAttribute('x2', String(b.x));
+      el.setAttribute('y2', String(b.y));
+    }
+    for (const { el, node } of this.nodeEls) {
+      const p = at(node.id);
+      el.setAttribute('transform', 'translate(' + p.x + ' ' + p.y + ')');
+    }
+  }
+
+  _nodeAt(e) {
+    if (!this._at || !this.nodeEls) return null;
+    const rect = this.svg.getBoundingClientRect();
+    const vp = this.viewport;
+    const x = (e.clientX - rect.left - vp.x) / vp.scale;
+    const y = (e.clientY - rect.top - vp.y) / vp.scale;
+
+    let best = null;
+    let bestDist = Infinity;
+    for (const { node, radius } of this.nodeEls) {
+      const p = this._at(node.id);
+      const dist = Math.hypot(p.x - x, p.y - y);
+      if (dist <= radius + 4 / vp.scale && dist < bestDist) {
+        best = node;
+        bestDist = dist;
+      }
+    }
+    return best ? best.id : null;
+  }
+
+  async forceRefresh(view, opts) {
+    this.currentStateKey = null;
+    return this.placeTo(view, opts);
+  }
+
+  async capturePng() {
+    if (!this.graph || !this.positions) return null;
+    const width = this.node.clientWidth || 800;
+    const height = this.node.clientHeight || 200;
+    const svg = renderGraphSvg(this.graph, this.positions, {
+      width,
+      height,
+      colors: this.colors,
+      palette: readGraphPalette(),
+    });
+    return rasterizeSvg(svg, width, height);
+  }
+
+  detach() {
+    if (this._resizeObserver) {
+      this._resizeObserver.disconnect();
+      this._resizeObserver = null;
+    }
+    if (this.node) {
+      this.node.removeClass('graph-banner-content');
+      this.node.remove();
+    }
+  }
+}
+
+/**
+ * Setting keys a preset may carry, with the type used to validate imported
+ * values and to format them in the diff view (display names are the
+ * `setting.<key>` strings). Presets, automatic preset rules and other
+ * bookkeeping keys are deliberately not part of a preset.
+ */
+const PRESET_SCHEMA = [
+  { key: 'maxGraphViews', type: 'number', min: 1, max: 5, integer: true },
+  { key: 'renderMode', type: 'enum', values: ['live', 'snapshot', 'svg'] },
+  { key: 'layoutDebounceMs', type: 'number', min: 0, max: 10000 },
+  { key: 'timeToRemoveLeaf', type: 'number', min: 0, max: 10000 },
+  { key: 'showInEditMode', type: 'enum', values: ['full', 'compact', 'hidden'] },
+  { key: 'mobileMode', type: 'enum', values: ['full', 'simplified', 'disabled'] },
+  { key: 'bannerHeight', type: 'height' },
+  { key: 'placement', type: 'enum', values: ['title', 'properties', 'end', 'corner', 'sidebar'] },
+  { key: 'showInPopovers', type: 'boolean' },
+  { key: 'showInCanvas', type: 'boolean' },
+  { key: 'maxEmbedBanners', type: 'number', min: 1, max: 5, integer: true },
+  { key: 'resizeScope', type: 'enum', values: ['note', 'folder'] },
+  { key: 'collapseByDefault', type: 'boolean' },
+  { key: 'graph', type: 'graph' },
+  {
+    key: 'colorGroups',
+    type: 'list',
+    item: (g) => isPlainObject(g) && typeof g.query === 'string' && typeof g.color === 'string',
+  },
+  { key: 'ignore', type: 'list', item: (v) => typeof v === 'string' },
+  {
+    key: 'visibilityRules',
+    type: 'list',
+    item: (r) => isPlainObject(r) && RULE_TYPES.includes(r.type) && (r.action === 'show' || r.action === 'hide'),
+  },
+  { key: 'perNoteDisabledPaths', type: 'list', item: (v) => typeof v === 'string' },
+];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate a preset value against its schema entry.
+ * Returns undefined for values that can't be used.
+ */
+function sanitizePresetValue(def, value) {
+  if (value === undefined || value === null) return undefined;
+
+  switch (def.type) {
+    case 'number': {
+      const num = Number(value);
+      if (value === '' || !Number.isFinite(num)) return undefined;
+      return Math.min(def.max, Math.max(def.min, def.integer ? Math.round(num) : num));
+    }
+    case 'enum':
+      return def.values.includes(value) ? value : undefined;
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+    case 'string':
+      return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+    case 'height': {
+      const height = normalizeHeight(value);
+      return isValidHeight(height) ? height : undefined;
+    }
+    case 'heights': {
+      if (!isPlainObject(value)) return undefined;
+      const heights = {};
+      for (const [path, height] of Object.entries(value)) {
+        const normalized = normalizeHeight(height);
+        if (isValidHeight(normalized)) heights[path] = normalized;
+      }
+      return heights;
+    }
+    case 'flags': {
+      if (!isPlainObject(value)) return undefined;
+      const flags = {};
+      for (const [path, flag] of Object.entries(value)) {
+        if (typeof flag === 'boolean') flags[path] = flag;
+      }
+      return flags;
+    }
+    case 'list': {
+      if (!Array.isArray(value)) return undefined;
+      const items = def.item ? value.filter(def.item) : value;
+      return JSON.parse(JSON.stringify(items));
+    }
+    case 'graph': {
+      if (!isPlainObject(value)) return undefined;
+      const graph = {};
+      for (const option of GRAPH_OPTIONS) {
+        const v = sanitizeGraphOption(option, value[option.key]);
+        if (v !== undefined) graph[option.key] = v;
+      }
+      return Object.keys(graph).length > 0 ? graph : undefined;
+    }
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Copy of a preset's settings with unknown keys and invalid values dropped.
+ */
+function sanitizePresetSettings(settings) {
+  const result = {};
+  if (!settings || typeof settings !== 'object') return result;
+  for (const def of PRESET_SCHEMA) {
+    const value = sanitizePresetValue(def, settings[def.key]);
+    if (value !== undefined) result[def.key] = value;
+  }
+  return result;
+}
+
+function formatPresetValue(value) {
+  if (value === undefined || value === null || value === '') return t('common.empty');
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * What applying `overlay` on top of `current` would change, as a list of
+ * `{ key, name, from, to }`. List settings are compared item by item and
+ * report `added` / `removed` items instead of `from` / `to`.
+ */
+function diffPresetSettings(current, overlay) {
+  const changes = [];
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+  for (const def of PRESET_SCHEMA) {
+    if (!overlay || overlay[def.key] === undefined) continue;
+    const from = current[def.key];
+    const to = overlay[def.key];
+
+    if (def.type === 'graph') {
+      for (const option of GRAPH_OPTIONS) {
+        if (to[option.key] === undefined) continue;
+        const before = (from || {})[option.key];
+        if (same(before, to[option.key])) continue;
+        changes.push({
+          key: def.key + '.' + option.key,
+          name: t('diff.graphOption', { group: t('setting.' + def.key), option: t('graph.' + option.key) }),
+          from: before,
+          to: to[option.key],
+        });
+      }
+    } else if (def.type === 'list') {
+      const before = Array.isArray(from) ? from.map((v) => JSON.stringify(v)) : [];
+      const after = to.map((v) => JSON.stringify(v));
+      const added = after.filter((v) => !before.includes(v)).map((v) => JSON.parse(v));
+      const removed = before.filter((v) => !after.includes(v)).map((v) => JSON.parse(v));
+      if (added.length === 0 && removed.length === 0 && same(before, after)) continue;
+      changes.push({ key: def.key, name: t('setting.' + def.key), added, removed });
+    } else if (!same(from, to)) {
+      changes.push({ key: def.key, name: t('setting.' + def.key), from, to });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Every saved setting: the preset keys plus the ones presets never carry.
+ */
+const SETTINGS_SCHEMA = PRESET_SCHEMA.concat([
+  {
+    key: 'userPresets',
+    type: 'list',
+    item: (p) => isPlainObject(p) && typeof p.id === 'string' && typeof p.name === 'string' && isPlainObject(p.settings),
+  },
+  { key: 'lastAppliedPreset', type: 'string' },
+  { key: 'bannerHeights', type: 'heights' },
+  { key: 'collapsedNotes', type: 'flags' },
+  {
+    key: 'autoPresetRules',
+    type: 'list',
+    item: (r) => isPlainObject(r) && AUTO_PRESET_TYPES.includes(r.type) && typeof r.preset === 'string',
+  },
+]);
+
+/**
+ * Steps that upgrade saved settings, run in order for every version newer
+ * than the one stored in data.json. Data without a version is version 0.
+ */
+const SETTINGS_MIGRATIONS = [
+  {
+    // 1: ignore used to be a newline separated string; the two fixed
+    // custom preset slots became named presets
+    version: 1,
+    migrate(settings, plugin) {
+      if (typeof settings.ignore === 'string') {
+        settings.ignore = settings.ignore.split(/\r?\n/);
+      }
+      plugin._migrateLegacyPresets();
+    },
+  },
+];
+
+/**
+ * Repair invalid values in loaded settings, in place. Returns a description
+ * of every fix, so the user can be told what changed.
+ */
+function validateSettings(settings) {
+  const fixes = [];
+  const clone = (value) => JSON.parse(JSON.stringify(value));
+
+  for (const def of SETTINGS_SCHEMA) {
+    const name = t('setting.' + def.key);
+    const value = settings[def.key];
+    const fallback = DEFAULT_SETTINGS[def.key];
+    const repaired = sanitizePresetValue(def, value);
+
+    if (def.type === 'graph') {
+      const graph = Object.assign({}, DEFAULT_SETTINGS.graph, repaired);
+      if (!isPlainObject(value)) {
+        fixes.push(t('validate.invalid', { name }));
+      } else {
+        for (const option of GRAPH_OPTIONS) {
+          if (value[option.key] === undefined || value[option.key] === graph[option.key]) continue;
+          fixes.push(
+            t('validate.graphOption', {
+              name: t('diff.graphOption', { group: name, option: t('graph.' + option.key) }),
+              from: formatPresetValue(value[option.key]),
+              to: formatPresetValue(graph[option.key]),
+            })
+          );
+        }
+      }
+      settings.graph = graph;
+    } else if (repaired === undefined) {
+      settings[def.key] = clone(fallback);
+      fixes.push(t('validate.reset', { name, from: formatPresetValue(value), to: formatPresetValue(fallback) }));
+    } else if (def.type === 'list') {
+      // Always a fresh copy: lists are edited in place, never share the defaults
+      settings[def.key] = repaired;
+      if (repaired.length < value.length) {
+        fixes.push(t('validate.listItems', { name, count: value.length - repaired.length }));
+      }
+    } else if (def.type === 'heights' || def.type === 'flags') {
+      settings[def.key] = repaired;
+      const dropped = Object.keys(value).length - Object.keys(repaired).length;
+      if (dropped > 0) fixes.push(t('validate.listItems', { name, count: dropped }));
+    } else {
+      settings[def.key] = repaired;
+      if (repaired !== value) {
+        fixes.push(t('validate.changed', { name, from: formatPresetValue(value), to: formatPresetValue(repaired) }));
+      }
+    }
+  }
+
+  for (const preset of settings.userPresets) {
+    preset.settings = sanitizePresetSettings(preset.settings);
+  }
+  return fixes;
+}
+
+/**
+ * Built-in presets as partial settings overlays, named by `preset.<name>`.
+ */
+const BUILTIN_PRESETS = {
+  perf: { maxGraphViews: 1, layoutDebounceMs: 120, showInEditMode: 'hidden', mobileMode: 'disabled' },
+  balanced: { maxGraphViews: 2, layoutDebounceMs: 80, showInEditMode: 'compact', mobileMode: 'simplified' },
+  info: { maxGraphViews: 3, layoutDebounceMs: 40, showInEditMode: 'full', mobileMode: 'full' },
+};
+
+/**
+ * Context conditions for automatic preset switching.
+ * - mobile: running on a phone or tablet
+ * - battery: running on battery power (where the Battery API is available)
+ * - folder: the note lives in the folder or one of its subfolders
+ * - workspace: the named layout of the core Workspaces plugin is active
+ * - bodyClass: <body> has the CSS class, e.g. for zen or presentation modes
+ */
+const AUTO_PRESET_TYPES = ['mobile', 'battery', 'folder', 'workspace', 'bodyClass'];
+
+/**
+ * Body classes flip often (focus, drag, menus); rules are re-checked once
+ * they have been quiet this long.
+ */
+const AUTO_PRESET_CHECK_DELAY = 250;
+
+/**
+ * Base settings with a preset overlay on top. `graph` is merged key by key;
+ * the result is a new object, so the saved settings are never touched.
+ */
+function mergeSettings(base, overlay) {
+  if (!overlay) return base;
+  const merged = Object.assign({}, base, overlay);
+  merged.graph = Object.assign({}, base.graph, overlay.graph);
+  return merged;
+}
+
+/**
+ * Marker for exported preset files, so imports can reject unrelated JSON.
+ */
+const PRESET_EXPORT_TYPE = 'graph-banner-preset';
+
+/**
+ * Small modal asking for a single line of text, e.g. a preset name.
+ */
+class TextPromptModal extends Modal {
+  constructor(app, title, value, onSubmit) {
+    super(app);
+    this.title = title;
+    this.value = value || '';
+    this.onSubmit = onSubmit;
+  }
+
+  onOpen() {
+    this.titleEl.setText(this.title);
+    const input = this.contentEl.createEl('input', { type: 'text' });
+    input.addClass('graph-banner-prompt-input');
+    input.value = this.value;
+
+    const submit = () => {
+      const value = input.value.trim();
+      if (!value) return;
+      this.close();
+      this.onSubmit(value);
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') submit();
+    });
+
+    new Setting(this.contentEl).addButton((btn) => btn.setButtonText(t('common.ok')).setCta().onClick(submit));
+    window.setTimeout(() => input.select(), 0);
+  }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/**
+ * Shows what applying a preset will change and asks for confirmation.
+ */
+class PresetDiffModal extends Modal {
+  constructor(app, title, changes, onConfirm) {
+    super(app);
+    this.title = title;
+    this.changes = changes;
+    this.onConfirm = onConfirm;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    this.titleEl.setText(this.title);
+
+    if (this.changes.length === 0) {
+      contentEl.createEl('p', { text: t('diff.none'), cls: 'setting-item-description' });
+    } else {
+      contentEl.createEl('p', {
+        text: t('diff.summary', { count: this.changes.length }),
+        cls: 'setting-item-description',
+      });
+    }
+
+    const list = contentEl.createDiv({ cls: 'graph-banner-preset-diff' });
+    for (const change of this.changes) {
+      const row = list.createDiv({ cls: 'graph-banner-preset-diff-row' });
+      row.createDiv({ text: change.name, cls: 'graph-banner-preset-diff-name' });
+
+      if (change.added || change.removed) {
+        for (const item of change.removed) {
+          row.createEl('code', { text: '− ' + formatPresetValue(item), cls: 'graph-banner-preset-diff-removed' });
+        }
+        for (const item of change.added) {
+          row.createEl('code', { text: '+ ' + formatPresetValue(item), cls: 'graph-banner-preset-diff-added' });
+        }
+        if (change.added.length === 0 && change.removed.length === 0) {
+          row.createDiv({ text: t('diff.reordered'), cls: 'graph-banner-preset-diff-note' });
+        }
+      } else {
+        const values = row.createDiv({ cls: 'graph-banner-preset-diff-values' });
+        values.createEl('code', { text: formatPresetValue(change.from), cls: 'graph-banner-preset-diff-removed' });
+        values.createSpan({ text: '→' });
+        values.createEl('code', { text: formatPresetValue(change.to), cls: 'graph-banner-preset-diff-added' });
+      }
+    }
+
+    this.confirmed = false;
+    new Setting(contentEl)
+      .addButton((btn) => btn.setButtonText(t('common.cancel')).onClick(() => this.close()))
+      .addButton((btn) =>
+        btn
+          .setButtonText(t('common.apply'))
+          .setCta()
+          .onClick(() => {
+            this.confirmed = true;
+            this.close();
+          })
+      );
+  }
+
+  onClose() {
+    this.contentEl.empty();
+    this.onConfirm(this.confirmed);
+  }
+}
+
+/**
+ * Pick a JSON file in the vault to import a preset from.
+ */
+class PresetFileSuggestModal extends FuzzySuggestModal {
+  constructor(app, onChoose) {
+    super(app);
+    this.onChoose = onChoose;
+    this.setPlaceholder(t('prompt.choosePresetFile'));
+  }
+
+  getItems() {
+    return this.app.vault.getFiles().filter((f) => f.extension === 'json');
+  }
+
+  getItemText(file) {
+    return file.path;
+  }
+
+  onChooseItem(file) {
+    this.onChoose(file);
+  }
+}
+
+/**
+ * Settings tab for the plugin.
+ */
+class GraphBannerSettingTab extends PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+
+    // Title
+    containerEl.createEl('h2', { text: t('settings.title') });
+
+    // Preset section
+    containerEl.createEl('h3', { text: t('settings.presets') });
+
+    new Setting(containerEl)
+      .setName(t('settings.applyPreset'))
+      .setDesc(t('settings.applyPresetDesc'))
+      .addDropdown((dd) => {
+        dd.addOption('none', t('settings.presetNone'));
+        this._addPresetOptions(dd);
+
+        const { lastAppliedPreset } = this.plugin.settings;
+
+        dd.setValue(lastAppliedPreset || 'none');
+        dd.onChange(async (value) => {
+          if (value === 'none') {
+            this.plugin.settings.lastAppliedPreset = 'none';
+            await this.plugin.saveSettings();
+            return;
+          }
+
+          const overlay = this.plugin.getPresetOverlay(value);
+          if (!overlay) {
+            new Notice(t('preset.missing'));
+            dd.setValue(lastAppliedPreset || 'none');
+            return;
+          }
+
+          const changes = diffPresetSettings(this.plugin.settings, overlay);
+          const title = t('settings.applyPresetTitle', { name: this.plugin.getPresetName(value) });
+          new PresetDiffModal(this.app, title, changes, async (confirmed) => {
+            if (!confirmed) {
+              dd.setValue(lastAppliedPreset || 'none');
+              return;
+            }
+            this.plugin.applyPreset(value);
+            this.plugin.settings.lastAppliedPreset = value;
+            await this.plugin.saveSettings();
+            this.plugin.applyBannerHeight();
+            this.display();
+            new Notice(t('settings.presetApplied'));
+          }).open();
+        });
+      });
+
+    this.displayUserPresets(containerEl);
+    this.displayAutoPresetRules(containerEl);
+
+    // Performance section
+    containerEl.createEl('h3', { text: t('settings.performance') });
+
+    new Setting(containerEl)
+      .setName(t('setting.maxGraphViews'))
+      .setDesc(t('settings.maxGraphViewsDesc'))
+      .addSlider((slider) => {
+        slider.setLimits(1, 5, 1);
+        slider.setValue(this.plugin.settings.maxGraphViews || DEFAULT_SETTINGS.maxGraphViews);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.maxGraphViews = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName(t('setting.renderMode'))
+      .setDesc(t('settings.renderModeDesc'))
+      .addDropdown((dd) => {
+        dd.addOption('live', t('settings.renderLive'));
+        dd.addOption('snapshot', t('settings.renderSnapshot'));
+        dd.addOption('svg', t('settings.renderSvg'));
+        dd.setValue(this.plugin.settings.renderMode || DEFAULT_SETTINGS.renderMode);
+        dd.onChange(async (value) => {
+          const wasSvg = this.plugin.settings.renderMode === 'svg';
+          this.plugin.settings.renderMode = value;
+          await this.plugin.saveSettings();
+          if (wasSvg !== (value === 'svg')) this.plugin.resetGraphViews();
+          this.plugin.refreshVisibleViews();
+        });
+      })
+      .addExtraButton((btn) =>
+        btn
+          .setIcon('trash')
+          .setTooltip(t('settings.clearSnapshots'))
+          .onClick(async () => {
+            try {
+              await this.plugin.snapshots.clear();
+              new Notice(t('settings.snapshotsCleared'));
+            } catch (_) {
+              new Notice(t('settings.snapshotsClearFailed'));
+            }
+          })
+      );
+
+    new Setting(containerEl)
+      .setName(t('setting.layoutDebounceMs'))
+      .setDesc(t('settings.layoutDebounceDesc'))
+      .addText((text) =>
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.layoutDebounceMs))
+          .setValue(String(this.plugin.settings.layoutDebounceMs || DEFAULT_SETTINGS.layoutDebounceMs))
+          .onChange(async (value) => {
+            const num = Number(value);
+            if (!Number.isFinite(num) || num < 0) {
+              new Notice(t('common.nonNegative'));
+              return;
+            }
+            this.plugin.settings.layoutDebounceMs = num;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName(t('settings.timeToRemoveLeaf'))
+      .setDesc(t('settings.timeToRemoveLeafDesc'))
+      .addText((text) =>
+        text
+          .setPlaceholder(String(DEFAULT_SETTINGS.timeToRemoveLeaf))
+          .setValue(String(this.plugin.settings.timeToRemoveLeaf))
+          .onChange(async (value) => {
+            const num = Number(value);
+            if (!Number.isFinite(num) || num < 0) {
+              new Notice(t('common.nonNegative'));
+              return;
+            }
+            this.plugin.settings.timeToRemoveLeaf = num;
+            await this.plugin.saveSettings();
+          })
+      );
+
+    // Behaviour section
+    containerEl.createEl('h3', { text: t('settings.behaviour') });
+
+    new Setting(containerEl)
+      .setName(t('settings.editMode'))
+      .setDesc(t('settings.editModeDesc'))
+      .addDropdown((dd) => {
+        dd.addOption('full', t('settings.modeFull'));
+        dd.addOption('compact', t('settings.modeCompact'));
+        dd.addOption('hidden', t('settings.modeHidden'));
+        dd.setValue(this.plugin.settings.showInEditMode || DEFAULT_SETTINGS.showInEditMode);
+        dd.onChange(async (value) => {
+          this.plugin.settings.showInEditMode = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName(t('settings.mobileMode'))
+      .setDesc(t('settings.mobileModeDesc'))
+      .addDropdown((dd) => {
+        dd.addOption('full', t('settings.mobileFull'));
+        dd.addOption('simplified', t('settings.mobileSimplified'));
+        dd.addOption('disabled', t('settings.mobileDisabled'));
+        dd.setValue(this.plugin.settings.mobileMode || DEFAULT_SETTINGS.mobileMode);
+        dd.onChange(async (value) => {
+          this.plugin.settings.mobileMode = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    for (const key of ['showInPopovers', 'showInCanvas']) {
+      new Setting(containerEl)
+        .setName(t('setting.' + key))
+        .setDesc(t('settings.' + key + 'Desc'))
+        .addToggle((toggle) =>
+          toggle.setValue(!!this.plugin.settings[key]).onChange(async (value) => {
+            this.plugin.settings[key] = value;
+            await this.plugin.saveSettings();
+            if (!value) this.plugin.resetEmbedViews();
+          })
+        );
+    }
+
+    new Setting(containerEl)
+      .setName(t('setting.maxEmbedBanners'))
+      .setDesc(t('settings.maxEmbedBannersDesc'))
+      .addSlider((slider) => {
+        slider.setLimits(1, 5, 1);
+        slider.setValue(this.plugin.settings.maxEmbedBanners || DEFAULT_SETTINGS.maxEmbedBanners);
+        slider.setDynamicTooltip();
+        slider.onChange(async (value) => {
+          this.plugin.settings.maxEmbedBanners = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+    // Appearance section
+    containerEl.createEl('h3', { text: t('settings.appearance') });
+
+    new Setting(containerEl)
+      .setName(t('settings.bannerHeight'))
+      .setDesc(t('settings.bannerHeightDesc'))
+      .addText((text) =>
+        text
+          .setPlaceholder(DEFAULT_SETTINGS.bannerHeight || '14vh')
+          .setValue(this.plugin.settings.bannerHeight || DEFAULT_SETTINGS.bannerHeight || '14vh')
+          .onChange(async (value) => {
+            const v = (value || '').trim() || (DEFAULT_SETTINGS.bannerHeight || '14vh');
+            this.plugin.settings.bannerHeight = v;
+            this.plugin.applyBannerHeight();
+            await this.plugin.saveSettings();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName(t('setting.placement'))
+      .setDesc(t('settings.placementDesc'))
+      .addDropdown((dd) => {
+        dd.addOption('title', t('settings.placementTitle'));
+        dd.addOption('properties', t('settings.placementProperties'));
+        dd.addOption('end', t('settings.placementEnd'));
+        dd.addOption('corner', t('settings.placementCorner'));
+        dd.addOption('sidebar', t('settings.placementSidebar'));
+        dd.setValue(this.plugin.settings.placement || DEFAULT_SETTINGS.placement);
+        dd.onChange(async (value) => {
+          this.plugin.settings.placement = value;
+          await this.plugin.saveSettings();
+          await this.plugin.applyPlacement();
+        });
+      });
+
+    new Setting(containerEl)
+      .setName(t('setting.resizeScope'))
+      .setDesc(t('settings.resizeScopeDesc', { count: Object.keys(this.plugin.settings.bannerHeights).length }))
+      .addDropdown((dd) => {
+        dd.addOption('note', t('settings.resizeNote'));
+        dd.addOption('folder', t('settings.resizeFolder'));
+        dd.setValue(this.plugin.settings.resizeScope || DEFAULT_SETTINGS.resizeScope);
+        dd.onChange(async (value) => {
+          this.plugin.settings.resizeScope = value;
+          await this.plugin.saveSettings();
+        });
+      })
+      .addExtraButton((btn) =>
+        btn
+          .setIcon('rotate-ccw')
+          .setTooltip(t('settings.clearHeights'))
+          .onClick(async () => {
+            this.plugin.settings.bannerHeights = {};
+            await this.plugin.saveSettings();
+            this.plugin.placeVisibleViews();
+            this.display();
+          })
+      );
+
+    new Setting(containerEl)
+      .setName(t('setting.collapseByDefault'))
+      .setDesc(t('settings.collapseByDefaultDesc'))
+      .addToggle((toggle) =>
+        toggle.setValue(!!this.plugin.settings.collapseByDefault).onChange(async (value) => {
+          this.plugin.settings.collapseByDefault = value;
+          await this.plugin.saveSettings();
+          this.plugin.placeVisibleViews();
+        })
+      );
+
+    this.displayGraphOptions(containerEl);
+    this.displayColorGroups(containerEl);
+
+    // Rules section
+    containerEl.createEl('h3', { text: t('settings.ignoreSection') });
+
+    new Setting(containerEl)
+      .setName(t('settings.ignore'))
+      .setDesc(t('settings.ignoreDesc'))
+      .addTextArea((ta) => {
+        ta.setPlaceholder('templates/*\nArchive/*\n!/Project/Index.md');
+        ta.setValue((this.plugin.settings.ignore || []).join('\n'));
+        ta.onChange(async (value) => {
+          this.plugin.settings.ignore = value.split('\n');
+          this.scheduleIgnorePreview();
+          await this.plugin.saveSettings();
+        });
+      });
+
+    this.displayIgnorePreview(containerEl);
+
+    this.displayVisibilityRules(containerEl);
+
+    // Per-note mute info
+    new Setting(containerEl)
+      .setName(t('settings.perNote'))
+      .setDesc(t('settings.perNoteDesc', { command: 'Graph Banner: ' + t('command.toggle') }))
+      .addExtraButton((btn) =>
+        btn
+          .setIcon('search')
+          .setTooltip(t('settings.perNoteTooltip'))
+      );
+
+    const disabledCount = (this.plugin.settings.perNoteDisabledPaths || []).length;
+    const staleCount = this.plugin.getStaleDisabledPaths().length;
+
+    new Setting(containerEl)
+      .setName(t('settings.cleanup'))
+      .setDesc(t('settings.cleanupDesc', { count: disabledCount, stale: staleCount }))
+      .addButton((btn) =>
+        btn
+          .setButtonText(t('settings.cleanupButton'))
+          .setDisabled(staleCount === 0)
+          .onClick(async () => {
+            const removed = await this.plugin.cleanupStaleDisabledPaths();
+            new Notice(t('settings.cleanupDone', { count: removed }));
+            this.display();
+          })
+      );
+  }
+
+  displayUserPresets(containerEl) {
+    const plugin = this.plugin;
+
+    new Setting(containerEl)
+      .setName(t('settings.userPresets'))
+      .setDesc(t('settings.userPresetsDesc'))
+      .addButton((btn) =>
+        btn
+          .setButtonText(t('settings.savePreset'))
+          .onClick(() => {
+            const name = t('preset.defaultName', { n: plugin.settings.userPresets.length + 1 });
+            new TextPromptModal(this.app, t('settings.newPresetName'), name, async (value) => {
+              plugin.createUserPreset(value);
+              await plugin.saveSettings();
+              this.display();
+              new Notice(t('settings.presetSaved', { name: value }));
+            }).open();
+          })
+      )
+      .addExtraButton((btn) =>
+        btn
+          .setIcon('clipboard-paste')
+          .setTooltip(t('settings.importClipboard'))
+          .onClick(async () => {
+            let text = '';
+            try {
+              text = await navigator.clipboard.readText();
+            } catch (_) {
+              new Notice(t('common.clipboardReadFailed'));
+              return;
+            }
+            await this._importPreset(text);
+          })
+      )
+      .addExtraButton((btn) =>
+        btn
+          .setIcon('file-input')
+          .setTooltip(t('settings.importFile'))
+          .onClick(() => {
+            new PresetFileSuggestModal(this.app, async (file) => {
+              await this._importPreset(await this.app.vault.read(file));
+            }).open();
+          })
+      );
+
+    for (const preset of plugin.settings.userPresets) {
+      const count = Object.keys(preset.settings || {}).length;
+      new Setting(containerEl)
+        .setName(preset.name)
+        .setDesc(t('settings.presetCount', { count }))
+        .setClass('graph-banner-preset-item')
+        .addButton((btn) =>
+          btn
+            .setButtonText(t('settings.overwritePreset'))
+            .onClick(async () => {
+              plugin.updateUserPreset(preset.id);
+              await plugin.saveSettings();
+              this.display();
+              new Notice(t('settings.presetUpdated', { name: preset.name }));
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('pencil')
+            .setTooltip(t('settings.rename'))
+            .onClick(() => {
+              new TextPromptModal(this.app, t('settings.renamePreset'), preset.name, async (value) => {
+                plugin.renameUserPreset(preset.id, value);
+                await plugin.saveSettings();
+                this.display();
+              }).open();
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('copy')
+            .setTooltip(t('settings.duplicate'))
+            .onClick(async () => {
+              plugin.duplicateUserPreset(preset.id);
+              await plugin.saveSettings();
+              this.display();
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('clipboard-copy')
+            .setTooltip(t('settings.exportClipboard'))
+            .onClick(async () => {
+              try {
+                await navigator.clipboard.writeText(plugin.exportUserPreset(preset.id));
+                new Notice(t('settings.presetCopied', { name: preset.name }));
+              } catch (_) {
+                new Notice(t('common.clipboardWriteFailed'));
+              }
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('file-output')
+            .setTooltip(t('settings.exportFile'))
+            .onClick(async () => {
+              try {
+                const file = await plugin.exportUserPresetToFile(preset.id);
+                if (file) new Notice(t('settings.presetExported', { path: file.path }));
+              } catch (_) {
+                new Notice(t('settings.presetExportFailed'));
+              }
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('trash')
+            .setTooltip(t('settings.deletePreset'))
+            .onClick(async () => {
+              plugin.deleteUserPreset(preset.id);
+              await plugin.saveSettings();
+              this.display();
+            })
+        );
+    }
+  }
+
+  _addPresetOptions(dd) {
+    for (const name of Object.keys(BUILTIN_PRESETS)) {
+      dd.addOption(name, t('preset.' + name));
+    }
+    for (const preset of this.plugin.settings.userPresets) {
+      dd.addOption('user:' + preset.id, preset.name);
+    }
+  }
+
+  displayAutoPresetRules(containerEl) {
+    const plugin = this.plugin;
+    const active = plugin.getActiveAutoPresetRule(plugin.getActiveFile());
+
+    new Setting(containerEl)
+      .setName(t('settings.autoPresets'))
+      .setDesc(
+        t('settings.autoPresetsDesc', {
+          current: active ? plugin.getPresetName(active.preset) : t('settings.autoPresetsNone'),
+        })
+      )
+      .addButton((btn) =>
+        btn.setButtonText(t('settings.addRule')).onClick(async () => {
+          plugin.settings.autoPresetRules.push({ type: 'mobile', value: '', preset: 'perf' });
+          await plugin.saveSettings();
+          this.display();
+        })
+      );
+
+    const rules = plugin.settings.autoPresetRules;
+    const valuePlaceholders = {
+      folder: 'Projects',
+      workspace: t('settings.workspaceName'),
+      bodyClass: 'is-fullscreen',
+    };
+    const save = async () => {
+      await plugin.saveSettings();
+      plugin.refreshVisibleViews();
+    };
+
+    rules.forEach((rule, index) => {
+      const setting = new Setting(containerEl).setName(t('settings.autoRule', { n: index + 1 }));
+
+      setting.addDropdown((dd) => {
+        dd.addOption('mobile', t('settings.autoMobile'));
+        dd.addOption('battery', t('settings.autoBattery'));
+        dd.addOption('folder', t('settings.autoFolder'));
+        dd.addOption('workspace', t('settings.autoWorkspace'));
+        dd.addOption('bodyClass', t('settings.autoBodyClass'));
+        dd.setValue(AUTO_PRESET_TYPES.includes(rule.type) ? rule.type : 'mobile');
+        dd.onChange(async (value) => {
+          rule.type = value;
+          await save();
+          this.display();
+        });
+      });
+
+      if (valuePlaceholders[rule.type]) {
+        setting.addText((text) =>
+          text
+            .setPlaceholder(valuePlaceholders[rule.type])
+            .setValue(rule.value || '')
+            .onChange((value) => {
+              rule.value = value.trim();
+              this.scheduleSaveAndRefresh();
+            })
+        );
+      }
+
+      setting.addDropdown((dd) => {
+        this._addPresetOptions(dd);
+        dd.setValue(rule.preset || 'perf');
+        dd.onChange(async (value) => {
+          rule.preset = value;
+          await save();
+        });
+      });
+
+      setting
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('arrow-up')
+            .setTooltip(t('common.moveUp'))
+            .setDisabled(index === 0)
+            .onClick(async () => {
+              if (index === 0) return;
+              rules.splice(index - 1, 0, rules.splice(index, 1)[0]);
+              await save();
+              this.display();
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('trash')
+            .setTooltip(t('settings.deleteRule'))
+            .onClick(async () => {
+              rules.splice(index, 1);
+              await save();
+              this.display();
+            })
+        );
+    });
+  }
+
+  async _importPreset(text) {
+    const preset = this.plugin.importUserPreset(text);
+    if (!preset) {
+      new Notice(t('settings.importFailed'));
+      return;
+    }
+    await this.plugin.saveSettings();
+    this.display();
+    new Notice(t('settings.presetImported', { name: preset.name }));
+  }
+
+  displayGraphOptions(containerEl) {
+    containerEl.createEl('h3', { text: t('settings.graphOptions') });
+    containerEl.createEl('p', {
+      cls: 'setting-item-description',
+      text: t('settings.graphOptionsDesc'),
+    });
+
+    const graph = this.plugin.settings.graph;
+    const save = (key, value) => {
+      graph[key] = value;
+      this.scheduleSaveAndRefresh();
+    };
+
+    for (const def of GRAPH_OPTIONS) {
+      const setting = new Setting(containerEl).setName(t('graph.' + def.key)).setDesc(def.key);
+      const current = graph[def.key] ?? DEFAULT_SETTINGS.graph[def.key];
+
+      if (def.type === 'boolean') {
+        setting.addToggle((toggle) =>
+          toggle.setValue(!!current).onChange((value) => save(def.key, value))
+        );
+      } else if (def.type === 'string') {
+        setting.addText((text) =>
+          text
+            .setPlaceholder('path:Projects tag:#topic')
+            .setValue(current || '')
+            .onChange((value) => save(def.key, value.trim()))
+        );
+      } else {
+        setting.addSlider((slider) => {
+          slider.setLimits(def.min, def.max, def.step);
+          slider.setValue(current);
+          slider.setDynamicTooltip();
+          slider.onChange((value) => save(def.key, value));
+        });
+      }
+    }
+
+    new Setting(containerEl)
+      .setName(t('settings.resetGraph'))
+      .addButton((btn) =>
+        btn.setButtonText(t('settings.resetGraphButton')).onClick(async () => {
+          this.plugin.settings.graph = Object.assign({}, DEFAULT_SETTINGS.graph);
+          await this.plugin.saveSettings();
+          this.plugin.refreshVisibleViews();
+          this.display();
+        })
+      );
+  }
+
+  displayColorGroups(containerEl) {
+    containerEl.createEl('h3', { text: t('settings.colorGroups') });
+
+    new Setting(containerEl)
+      .setName(t('settings.colorGroupsName'))
+      .setDesc(t('settings.colorGroupsDesc'))
+      .addButton((btn) =>
+        btn.setButtonText(t('settings.addGroup')).onClick(async () => {
+          this.plugin.settings.colorGroups.push({ query: '', color: '#4f8ff7' });
+          await this.plugin.saveSettings();
+          this.display();
+        })
+      );
+
+    const groups = this.plugin.settings.colorGroups;
+    const save = async () => {
+      await this.plugin.saveSettings();
+      this.plugin.refreshVisibleViews();
+    };
+
+    groups.forEach((group, index) => {
+      new Setting(containerEl)
+        .setName(t('settings.group', { n: index + 1 }))
+        .addText((text) =>
+          text
+            .setPlaceholder('path:Projects')
+            .setValue(group.query || '')
+            .onChange((value) => {
+              group.query = value.trim();
+              this.scheduleSaveAndRefresh();
+            })
+        )
+        .addColorPicker((picker) =>
+          picker.setValue(group.color || '#4f8ff7').onChange((value) => {
+            group.color = value;
+            this.scheduleSaveAndRefresh();
+          })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('arrow-up')
+            .setTooltip(t('common.moveUp'))
+            .setDisabled(index === 0)
+            .onClick(async () => {
+              if (index === 0) return;
+              groups.splice(index - 1, 0, groups.splice(index, 1)[0]);
+              await save();
+              this.display();
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('trash')
+            .setTooltip(t('settings.deleteGroup'))
+            .onClick(async () => {
+              groups.splice(index, 1);
+              await save();
+              this.display();
+            })
+        );
+    });
+  }
+
+  /**
+   * Live preview of the ignore patterns: a path tester, every pattern line
+   * with how many notes it decides, and the notes decided by a pattern.
+   */
+  displayIgnorePreview(containerEl) {
+    const wrapper = containerEl.createDiv({ cls: 'graph-banner-ignore-preview' });
+
+    const tester = wrapper.createDiv({ cls: 'graph-banner-ignore-tester' });
+    const input = tester.createEl('input', {
+      type: 'text',
+      placeholder: t('ignore.testPlaceholder'),
+    });
+    input.value = this._ignoreTestPath || '';
+    this._ignoreVerdictEl = tester.createDiv({ cls: 'graph-banner-ignore-verdict' });
+    // Only the verdict depends on the tested path; the vault list stays
+    input.addEventListener('input', () => {
+      this._ignoreTestPath = input.value;
+      this.renderIgnoreVerdict();
+    });
+
+    this._ignoreRulesEl = wrapper.createDiv({ cls: 'graph-banner-ignore-rules' });
+    this._ignoreFilesEl = wrapper.createDiv({ cls: 'graph-banner-ignore-files' });
+    this.renderIgnorePreview();
+  }
+
+  /**
+   * Save and redraw banners once sliders and text fields stop changing,
+   * instead of reloading every banner per keystroke.
+   */
+  scheduleSaveAndRefresh() {
+    if (this._refreshTimer) window.clearTimeout(this._refreshTimer);
+    this._refreshTimer = window.setTimeout(async () => {
+      this._refreshTimer = null;
+      await this.plugin.saveSettings();
+      this.plugin.refreshVisibleViews();
+    }, 300);
+  }
+
+  scheduleIgnorePreview() {
+    if (this._ignorePreviewTimer) window.clearTimeout(this._ignorePreviewTimer);
+    this._ignorePreviewTimer = window.setTimeout(() => {
+      this._ignorePreviewTimer = null;
+      this.renderIgnorePreview();
+    }, 200);
+  }
+
+  renderIgnorePreview() {
+    const rulesEl = this._ignoreRulesEl;
+    const filesEl = this._ignoreFilesEl;
+    const verdictEl = this._ignoreVerdictEl;
+    if (!rulesEl || !filesEl || !verdictEl) return;
+
+    const rules = compileIgnoreRules(this.plugin.settings.ignore);
+    const ruleRows = new Map();
+    this._ignoreRules = rules;
+    this._ignoreRuleRows = ruleRows;
+    const highlight = (rule, on) => this.highlightIgnoreRule(rule, on);
+
+    // Decide every note once
+    const decided = [];
+    let untouched = 0;
+    const hits = new Map();
+    const files = this.app.vault.getMarkdownFiles().slice().sort((a, b) => a.path.localeCompare(b.path));
+    for (const file of files) {
+      const result = explainIgnore(file.path, rules);
+      if (!result.rule) {
+        untouched += 1;
+        continue;
+      }
+      decided.push({ path: file.path, ignored: result.ignored, rule: result.rule });
+      hits.set(result.rule.index, (hits.get(result.rule.index) || 0) + 1);
+    }
+
+    // Pattern lines
+    rulesEl.empty();
+    if (rules.length === 0) {
+      rulesEl.createDiv({ cls: 'graph-banner-ignore-empty', text: t('ignore.noPatterns') });
+    }
+    for (const rule of rules) {
+      const row = rulesEl.createDiv({ cls: 'graph-banner-ignore-rule' });
+      row.toggleClass('is-negated', rule.negate);
+      row.createSpan({ cls: 'graph-banner-ignore-line', text: String(rule.index + 1) });
+      row.createEl('code', { text: rule.source.trim() });
+      row.createSpan({ cls: 'graph-banner-ignore-count', text: t('ignore.count', { count: hits.get(rule.index) || 0 }) });
+      ruleRows.set(rule.index, row);
+    }
+
+    this.renderIgnoreVerdict();
+
+    // Notes decided by a pattern
+    filesEl.empty();
+    const ignoredCount = decided.filter((d) => d.ignored).length;
+    filesEl.createDiv({
+      cls: 'graph-banner-ignore-summary',
+      text: t('ignore.summary', {
+        total: files.length,
+        ignored: ignoredCount,
+        reincluded: decided.length - ignoredCount,
+        untouched,
+      }),
+    });
+
+    const limit = 200;
+    for (const item of decided.slice(0, limit)) {
+      const row = filesEl.createDiv({ cls: 'graph-banner-ignore-file' });
+      row.toggleClass('is-ignored', item.ignored);
+      row.createSpan({ cls: 'graph-banner-ignore-verdict-tag', text: item.ignored ? t('ignore.ignored') : t('ignore.shown') });
+      row.createSpan({ cls: 'graph-banner-ignore-path', text: item.path });
+      row.createEl('code', { text: describeIgnoreRule(item.rule) });
+      row.addEventListener('mouseenter', () => highlight(item.rule, true));
+      row.addEventListener('mouseleave', () => highlight(item.rule, false));
+    }
+    if (decided.length > limit) {
+      filesEl.createDiv({
+        cls: 'graph-banner-ignore-summary',
+        text: t('ignore.more', { count: decided.length - limit }),
+      });
+    }
+  }
+
+  /**
+   * Verdict for the path typed into the tester, cheap enough for every keystroke.
+   */
+  renderIgnoreVerdict() {
+    const verdictEl = this._ignoreVerdictEl;
+    if (!verdictEl || !this._ignoreRules) return;
+    if (this._ignoreVerdictRule) this.highlightIgnoreRule(this._ignoreVerdictRule, false);
+    this._ignoreVerdictRule = null;
+
+    verdictEl.empty();
+    const testPath = (this._ignoreTestPath || '').trim().replace(/^\/+/, '');
+    if (testPath) {
+      const result = explainIgnore(testPath, this._ignoreRules);
+      verdictEl.toggleClass('is-ignored', result.ignored);
+      verdictEl.setText(
+        (result.ignored ? t('ignore.ignored') : t('ignore.shown')) +
+          ' — ' +
+          (result.rule ? describeIgnoreRule(result.rule) : t('ignore.noMatch'))
+      );
+      this._ignoreVerdictRule = result.rule;
+      this.highlightIgnoreRule(result.rule, true);
+    } else {
+      verdictEl.removeClass('is-ignored');
+    }
+  }
+
+  highlightIgnoreRule(rule, on) {
+    const row = rule && this._ignoreRuleRows && this._ignoreRuleRows.get(rule.index);
+    if (row) row.toggleClass('is-highlighted', on);
+  }
+
+  hide() {
+    if (this._ignorePreviewTimer) {
+      window.clearTimeout(this._ignorePreviewTimer);
+      this._ignorePreviewTimer = null;
+    }
+  }
+
+  displayVisibilityRules(containerEl) {
+    containerEl.createEl('h3', { text: t('settings.visibilitySection') });
+
+    new Setting(containerEl)
+      .setName(t('settings.visibilityRules'))
+      .setDesc(t('settings.visibilityRulesDesc'))
+      .addButton((btn) =>
+        btn
+          .setButtonText(t('settings.addRule'))
+          .onClick(async () => {
+            this.plugin.settings.visibilityRules.push({ action: 'hide', type: 'tag', key: '', value: '' });
+            await this.plugin.saveSettings();
+            this.display();
+          })
+      );
+
+    const rules = this.plugin.settings.visibilityRules;
+    const valuePlaceholders = {
+      tag: '#daily',
+      folder: 'Projects',
+      property: t('settings.propertyValue'),
+      backlinks: 'N',
+      links: 'N',
+    };
+
+    rules.forEach((rule, index) => {
+      const setting = new Setting(containerEl).setName(t('settings.rule', { n: index + 1 }));
+
+      setting.addDropdown((dd) => {
+        dd.addOption('hide', t('settings.hide'));
+        dd.addOption('show', t('settings.show'));
+        dd.setValue(rule.action === 'show' ? 'show' : 'hide');
+        dd.onChange(async (value) => {
+          rule.action = value;
+          await this.plugin.saveSettings();
+        });
+      });
+
+      setting.addDropdown((dd) => {
+        dd.addOption('tag', t('settings.ruleTag'));
+        dd.addOption('folder', t('settings.ruleFolder'));
+        dd.addOption('property', t('settings.ruleProperty'));
+        dd.addOption('backlinks', t('settings.ruleBacklinks'));
+        dd.addOption('links', t('settings.ruleLinks'));
+        dd.addOption('always', t('settings.ruleAlways'));
+        dd.setValue(RULE_TYPES.includes(rule.type) ? rule.type : 'tag');
+        dd.onChange(async (value) => {
+          rule.type = value;
+          await this.plugin.saveSettings();
+          this.display();
+        });
+      });
+
+      if (rule.type === 'property') {
+        setting.addText((text) =>
+          text
+            .setPlaceholder(t('settings.propertyName'))
+            .setValue(rule.key || '')
+            .onChange(async (value) => {
+              rule.key = value.trim();
+              await this.plugin.saveSettings();
+            })
+        );
+      }
+
+      if (rule.type !== 'always') {
+        setting.addText((text) =>
+          text
+            .setPlaceholder(valuePlaceholders[rule.type] || '')
+            .setValue(rule.value || '')
+            .onChange(async (value) => {
+              rule.value = value.trim();
+              await this.plugin.saveSettings();
+            })
+        );
+      }
+
+      setting
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('arrow-up')
+            .setTooltip(t('common.moveUp'))
+            .setDisabled(index === 0)
+            .onClick(async () => {
+              if (index === 0) return;
+              rules.splice(index - 1, 0, rules.splice(index, 1)[0]);
+              await this.plugin.saveSettings();
+              this.display();
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('arrow-down')
+            .setTooltip(t('common.moveDown'))
+            .setDisabled(index === rules.length - 1)
+            .onClick(async () => {
+              if (index === rules.length - 1) return;
+              rules.splice(index + 1, 0, rules.splice(index, 1)[0]);
+              await this.plugin.saveSettings();
+              this.display();
+            })
+        )
+        .addExtraButton((btn) =>
+          btn
+            .setIcon('trash')
+            .setTooltip(t('settings.deleteRule'))
+            .onClick(async () => {
+              rules.splice(index, 1);
+              await this.plugin.saveSettings();
+              this.display();
+            })
+        );
+    });
+  }
+}
+
+const SIDEBAR_VIEW_TYPE = 'graph-banner-sidebar';
+
+/**
+ * Right sidebar view showing the active note's banner when the placement
+ * is 'sidebar'. The banner node itself is moved in by GraphView._attach.
+ */
+class GraphBannerSidebarView extends ItemView {
+  constructor(leaf, plugin) {
+    super(leaf);
+    this.plugin = plugin;
+  }
+
+  getViewType() {
+    return SIDEBAR_VIEW_TYPE;
+  }
+
+  getDisplayText() {
+    return t('sidebar.title');
+  }
+
+  getIcon() {
+    return 'git-fork';
+  }
+
+  async onOpen() {
+    this.contentEl.empty();
+    this.contentEl.addClass('graph-banner-sidebar');
+    this.contentEl.createDiv({ cls: 'graph-banner-sidebar-empty', text: t('sidebar.empty') });
+    this.plugin.placeVisibleViews();
+  }
+
+  async onClose() {
+    this.contentEl.empty();
+  }
+}
+
+const CODE_BLOCK_LANGUAGE = 'graph-banner';
+
+/**
+ * Setting keys a `graph-banner` code block may override.
+ */
+const CODE_BLOCK_KEYS = ['bannerHeight', 'renderMode', 'graph', 'colorGroups'];
+
+/**
+ * Options of a `graph-banner` code block: `note` (a link or path, the
+ * current note if missing) and the settings in CODE_BLOCK_KEYS. Graph
+ * options may also be given at the top level, as in frontmatter.
+ * Throws if the YAML can't be parsed.
+ */
+function parseCodeBlockOptions(source) {
+  const raw = source.trim() ? parseYaml(source) : null;
+  const options = { note: null, settings: {} };
+  if (raw === null || raw === undefined) return options;
+  if (!isPlainObject(raw)) throw new Error('Options must be a mapping');
+
+  // An unquoted [[link]] is parsed as a nested list
+  const note = Array.isArray(raw.note) ? raw.note.flat(Infinity).join('') : raw.note;
+  if (typeof note === 'string' && note.trim()) {
+    options.note = note.trim().replace(/^\[\[|\]\]$/g, '').split('|')[0];
+  }
+
+  for (const def of PRESET_SCHEMA) {
+    if (!CODE_BLOCK_KEYS.includes(def.key)) continue;
+    const value = sanitizePresetValue(def, raw[def.key]);
+    if (value !== undefined) options.settings[def.key] = value;
+  }
+  for (const def of GRAPH_OPTIONS) {
+    const value = sanitizeGraphOption(def, raw[def.key]);
+    if (value === undefined) continue;
+    options.settings.graph = Object.assign({}, options.settings.graph, { [def.key]: value });
+  }
+  return options;
+}
+
+/**
+ * A `graph-banner` code block. Each block has its own renderer, outside the
+ * banner pool, and detaches it when the block is unloaded.
+ */
+class GraphBannerBlock extends MarkdownRenderChild {
+  constructor(plugin, containerEl, source, sourcePath) {
+    super(containerEl);
+    this.plugin = plugin;
+    this.source = source;
+    this.sourcePath = sourcePath;
+    this.options = null;
+    this.gv = null;
+    this.renderKey = null;
+    this.released = false;
+    this.messageEl = null;
+  }
+
+  onload() {
+    try {
+      this.options = parseCodeBlockOptions(this.source);
+    } catch (_) {
+      this._showMessage(t('block.invalid'));
+      return;
+    }
+    this.plugin.blocks.add(this);
+    this.render();
+  }
+
+  onunload() {
+    this.plugin.blocks.delete(this);
+    if (this.gv) this.plugin.releaseBlockGraphView(this.gv);
+    this.gv = null;
+  }
+
+  /**
+   * Draw the graph, or redraw it when the note, the options or the theme
+   * changed since the last render.
+   */
+  async render() {
+    // Released blocks wait for a click, so they don't take the view back
+    if (!this.options || this.released) return;
+    const { app } = this.plugin;
+    const options = this.options;
+    const file = options.note
+      ? app.metadataCache.getFirstLinkpathDest(options.note.split('#')[0].trim(), this.sourcePath)
+      : app.vault.getFileByPath(this.sourcePath);
+    if (!file) {
+      this.renderKey = null;
+      if (this.gv) this.plugin.releaseBlockGraphView(this.gv);
+      this.gv = null;
+      this._showMessage(t('block.noteMissing', { note: options.note || this.sourcePath }));
+      return;
+    }
+
+    const settings = mergeSettings(this.plugin.getEffectiveSettings(file), options.settings);
+    const theme = document.body.hasClass('theme-dark') ? 'dark' : 'light';
+    const key = JSON.stringify([file.path, settings.renderMode, settings.graph, settings.colorGroups, theme]);
+    if (this.gv && key === this.renderKey) return;
+    this.renderKey = key;
+    this._showMessage(null);
+
+    const gv = this.plugin.getBlockGraphView(this, settings.renderMode === 'svg');
+    this.gv = gv;
+    await gv.setupLeafPromise;
+    // Unloaded or released while the graph view was being set up
+    if (this.gv !== gv) return;
+    if (gv.setupError) {
+      this.plugin.releaseBlockGraphView(gv);
+      this.gv = null;
+      return;
+    }
+
+    gv.setVisibility(true);
+    await gv.forceRefresh({ file, containerEl: this.containerEl }, {
+      placement: 'block',
+      height: options.settings.bannerHeight || null,
+      graph: settings.graph,
+      colorGroups: settings.colorGroups,
+      snapshot: settings.renderMode === 'snapshot',
+    });
+  }
+
+  /**
+   * The graph view was handed to a more recently rendered block.
+   */
+  release() {
+    this.gv = null;
+    this.renderKey = null;
+    this.released = true;
+    this._showMessage(t('block.released'));
+    this.messageEl.addClass('graph-banner-block-released');
+    this.messageEl.addEventListener('click', () => {
+      this.released = false;
+      this.render();
+    });
+  }
+
+  _showMessage(message) {
+    if (this.messageEl) this.messageEl.remove();
+    this.messageEl = message
+      ? this.containerEl.createDiv({ cls: 'graph-banner-block-error', text: message })
+      : null;
+  }
+}
+
+/**
+ * Public API for other plugins and scripts (Templater, Dataview, ...):
+ *
+ *   const api = app.plugins.plugins['graph-banner'].api;
+ *   api.hide('Daily/2024-01-01.md');
+ *   api.on('placed', (file, view) => { ... });
+ *
+ * Files can be given as a TFile or a vault path. Events: `placed` (file, view),
+ * `hidden` (file, view) and `activated` (file).
+ */
+class GraphBannerApi extends Events {
+  constructor(plugin) {
+    super();
+    this.plugin = plugin;
+    this.version = 1;
+  }
+
+  _path(file) {
+    const path = typeof file === 'string' ? file : file && file.path;
+    return path ? normalizePath(path) : null;
+  }
+
+  /**
+   * Show the banner for a note again after `hide()` or the toggle command.
+   * Frontmatter, ignore patterns and visibility rules still apply.
+   */
+  show(file) {
+    const path = this._path(file);
+    return !!path && this.plugin.setNoteDisabled(path, false);
+  }
+
+  /**
+   * Hide the banner for a note; saved like the per-note toggle command.
+   */
+  hide(file) {
+    const path = this._path(file);
+    return !!path && this.plugin.setNoteDisabled(path, true);
+  }
+
+  /**
+   * Redraw the banners showing a note, or every visible banner.
+   */
+  async refresh(file) {
+    const path = this._path(file);
+    for (const view of this.plugin.getVisibleMarkdownViews()) {
+      if (!path || view.file.path === path) await this.plugin.placeGraphView(view, { force: true });
+    }
+  }
+
+  /**
+   * Whether a path matches the ignore patterns.
+   */
+  isIgnored(path) {
+    const normalized = this._path(path);
+    if (!normalized) return false;
+    const file = this.plugin.app.vault.getFileByPath(normalized);
+    return matchIgnore(normalized, this.plugin.getEffectiveSettings(file).ignore);
+  }
+
+  /**
+   * Whether a note gets no banner, for any reason (frontmatter, per-note
+   * toggle, ignore patterns or visibility rules).
+   */
+  isHidden(file) {
+    const path = this._path(file);
+    const target = path && this.plugin.app.vault.getFileByPath(path);
+    return !target || this.plugin.isBannerHidden(target);
+  }
+
+  /**
+   * Available presets as `{ key, name }`; keys are accepted by `applyPreset`.
+   */
+  listPresets() {
+    const keys = Object.keys(BUILTIN_PRESETS).concat(
+      this.plugin.settings.userPresets.map((preset) => 'user:' + preset.id)
+    );
+    return keys.map((key) => ({ key, name: this.plugin.getPresetName(key) }));
+  }
+
+  /**
+   * Apply and save a preset by key ('perf', 'user:<id>') or user preset name.
+   * Returns false if there is no such preset.
+   */
+  async applyPreset(keyOrName) {
+    const plugin = this.plugin;
+    let key = keyOrName;
+    if (!plugin.getPresetOverlay(key)) {
+      const preset = plugin.settings.userPresets.find((p) => p.name === keyOrName);
+      if (!preset) return false;
+      key = 'user:' + preset.id;
+    }
+    if (!plugin.applyPreset(key)) return false;
+    plugin.settings.lastAppliedPreset = key;
+    await plugin.saveSettings();
+    plugin.applyBannerHeight();
+    return true;
+  }
+}
+
+/**
+ * Main plugin class.
+ */
+class GraphBannerPlugin extends Plugin {
+  async onload() {
+    await this.loadSettings();
+    this.graphViews = [];
+    this.embedViews = [];
+    this._embedContents = new WeakSet();
+    this.blocks = new Set();
+    this.blockViews = [];
+    this._layoutTimer = null;
+    this._visibleTick = 0;
+    this._paneActiveAt = new WeakMap();
+    this._bannerStates = new WeakMap();
+    this._leafErrorReported = false;
+    this.api = new GraphBannerApi(this);
+    this.snapshots = new SnapshotCache(this);
+    this._placementKeys = new Map();
+    this.backlinks = new BacklinkIndex(this.app.metadataCache);
+    this._neighborCounts = new Map();
+
+    this.applyBannerHeight();
+    this.applyPlacementClass();
+
+    this.addSettingTab(new GraphBannerSettingTab(this.app, this));
+    this.registerView(SIDEBAR_VIEW_TYPE, (leaf) => new GraphBannerSidebarView(leaf, this));
+    this.registerHoverLinkSource(HOVER_LINK_SOURCE, { display: 'Graph Banner', defaultMod: false });
+
+    // Let Style Settings pick up variables
+    this.app.workspace.trigger('parse-style-settings');
+
+    // Commands
+    this.addCommand({
+      id: 'toggle-current-note-banner',
+      name: t('command.toggle'),
+      checkCallback: (checking) => {
+        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (!view || !view.file) return false;
+        if (!checking) {
+          this.toggleCurrentNote(view.file.path);
+        }
+        return true;
+      },
+    });
+
+    this.addCommand({
+      id: 'toggle-collapse-all',
+      name: t('command.collapseAll'),
+      callback: () => {
+        const shown = this.graphViews.filter((gv) => gv.isShown() && gv.node.isConnected);
+        const collapse = shown.length > 0
+          ? shown.some((gv) => !gv.collapsed)
+          : !this.settings.collapseByDefault;
+        this.setAllCollapsed(collapse);
+      },
+    });
+
+    this.addCommand({
+      id: 'open-sidebar',
+      name: t('command.openSidebar'),
+      callback: () => this.openSidebar(),
+    });
+
+    for (const format of EXPORT_FORMATS) {
+      this.addCommand({
+        id: 'export-banner-' + format.id,
+        name: t('command.export', { format: format.name }),
+        checkCallback: (checking) => {
+          const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+          if (!view || !view.file) return false;
+          if (!checking) {
+            const gv = this._findGraphView(view);
+            this.exportBanner(format.id, gv, view.file);
+          }
+          return true;
+        },
+      });
+    }
+
+    // Events
+    this.registerEvent(
+      this.app.workspace.on('file-open', async (file) => {
+        if (!file || file.extension !== 'md') return;
+        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+        if (!view || view.file !== file) return;
+        await this.placeGraphView(view);
+      })
+    );
+
+    // Splits, tab switches and resizes can change which panes are visible
+    this.registerEvent(this.app.workspace.on('layout-change', () => this.scheduleVisiblePlacement()));
+    // Code blocks drawn as SVG use the theme's colors
+    this.registerEvent(this.app.workspace.on('css-change', () => this.refreshBlocks()));
+    this.registerEvent(
+      this.app.workspace.on('active-leaf-change', (leaf) => {
+        if (leaf) this._paneActiveAt.set(leaf, Date.now());
+        this.scheduleVisiblePlacement();
+      })
+    );
+
+    // Keep per-note toggles attached to their notes
+    this.registerEvent(
+      this.app.vault.on('rename', (file, oldPath) => {
+        this._forgetPlacementKeys(oldPath);
+        this._neighborCounts.clear();
+        this.backlinks.update(oldPath);
+        this.handleRename(file, oldPath);
+      })
+    );
+
+    this.registerEvent(
+      this.app.vault.on('delete', (file) => {
+        this._forgetPlacementKeys(file.path);
+        this._neighborCounts.clear();
+        this._replaceIfChanged(this.backlinks.update(file.path));
+        this.handleDelete(file);
+      })
+    );
+
+    // Re-place the banner when the note's frontmatter or matching rule changes
+    this.registerEvent(
+      this.app.metadataCache.on('changed', (file) => this._replaceIfChanged([file.path]))
+    );
+
+    // Backlink rules also depend on links in other notes
+    this.registerEvent(
+      this.app.metadataCache.on('resolve', (file) => {
+        const changed = this.backlinks.update(file.path);
+        this._updateNeighborCounts([file.path].concat(changed));
+        this._replaceIfChanged(changed);
+      })
+    );
+
+    this.registerMarkdownCodeBlockProcessor(CODE_BLOCK_LANGUAGE, (source, el, ctx) => {
+      ctx.addChild(new GraphBannerBlock(this, el, source, ctx.sourcePath));
+    });
+
+    // Banners in page previews and canvas cards
+    this._pendingEmbedSections = [];
+    this.registerMarkdownPostProcessor((el, ctx) => {
+      if (!this.settings.showInPopovers && !this.settings.showInCanvas) return;
+      // Sections are processed before they are attached to the popover or
+      // card; they are checked together on the next frame
+      this._pendingEmbedSections.push([el, ctx.sourcePath]);
+      if (this._pendingEmbedSections.length === 1) {
+        window.requestAnimationFrame(() => this._placePendingEmbedBanners());
+      }
+    });
+
+    // Automatic preset switching follows battery and UI state changes
+    this._battery = null;
+    this._autoPresetTimer = null;
+    this._watchContext();
+
+    // Lazy init: only for markdown views that are on screen
+    this.placeVisibleViews();
+  }
+
+  
+  openSettingsPanel() {
+    const setting = this.app && this.app.setting;
+    if (!setting) return;
+    setting.open();
+    if (typeof setting.openTabById === 'function') {
+      try {
+        setting.openTabById(this.manifest && this.manifest.id ? this.manifest.id : 'graph-banner');
+      } catch (_) {
+        // ignore
+      }
+    }
+  }
+
+onunload() {
+    if (this._layoutTimer !== null) {
+      window.clearTimeout(this._layoutTimer);
+      this._layoutTimer = null;
+    }
+    if (this._autoPresetTimer !== null) {
+      window.clearTimeout(this._autoPresetTimer);
+      this._autoPresetTimer = null;
+    }
+    this.resetGraphViews();
+    this.resetEmbedViews();
+    this.resetBlockViews();
+    document.body.removeClass('graph-banner-below-title');
+  }
+
+  /**
+   * Load data.json, run pending migrations and repair invalid values.
+   * Repairs are saved right away and reported in a Notice.
+   */
+  async loadSettings() {
+    const data = await this.loadData();
+    this.settings = Object.assign({}, DEFAULT_SETTINGS, isPlainObject(data) ? data : {});
+
+    // Fresh installs start at the current version; data without a version predates versioning
+    let version = SETTINGS_VERSION;
+    if (isPlainObject(data)) {
+      version = Number.isInteger(data.settingsVersion) ? data.settingsVersion : 0;
+    }
+    for (const step of SETTINGS_MIGRATIONS) {
+      if (step.version > version) step.migrate(this.settings, this);
+    }
+    const migrated = version < SETTINGS_VERSION;
+    this.settings.settingsVersion = Math.max(version, SETTINGS_VERSION);
+
+    const fixes = validateSettings(this.settings);
+    if (migrated || fixes.length > 0) await this.saveSettings();
+    if (fixes.length > 0) {
+      new Notice(t('validate.notice') + '\n' + fixes.join('\n'), 10000);
+    }
+  }
+
+  async saveSettings() {
+    await this.saveData(this.settings);
+  }
+
+  applyBannerHeight() {
+    try {
+      const height = normalizeHeight(this.settings.bannerHeight) || DEFAULT_SETTINGS.bannerHeight;
+      document.documentElement.style.setProperty('--banner-height', height);
+
+      // 当高度变化时，主动刷新可见笔记的 Graph Banner，使布局尽量适应新的空间
+      if (!this.app || !this.app.workspace || !this.graphViews) return;
+      this.placeVisibleViews({ force: true }).catch(() => {
+        // ignore: banners are placed again on the next layout change
+      });
+    } catch (_) {
+      // ignore DOM errors
+    }
+  }
+
+  /**
+   * Reserve space under the inline title only when banners go there.
+   */
+  applyPlacementClass() {
+    document.body.toggleClass('graph-banner-below-title', this.getPlacement(this.settings) === 'title');
+  }
+
+  /**
+   * Placement to use with these settings. Banners go back under the title
+   * while the sidebar view is closed.
+   */
+  getPlacement(settings) {
+    const placement = settings.placement || DEFAULT_SETTINGS.placement;
+    return placement === 'sidebar' && !this.getSidebarContainer() ? 'title' : placement;
+  }
+
+  /**
+   * Move visible banners after the placement setting changed.
+   */
+  async applyPlacement() {
+    if (this.settings.placement === 'sidebar' && !this.getSidebarContainer()) {
+      await this.openSidebar();
+    }
+    await this.placeVisibleViews({ force: true });
+  }
+
+  /**
+   * Element of the sidebar view the banner goes in, or null if it is closed.
+   */
+  getSidebarContainer() {
+    const leaf = this.app.workspace.getLeavesOfType(SIDEBAR_VIEW_TYPE)[0];
+    return leaf && leaf.view instanceof GraphBannerSidebarView ? leaf.view.contentEl : null;
+  }
+
+  async openSidebar() {
+    const workspace = this.app.workspace;
+    let leaf = workspace.getLeavesOfType(SIDEBAR_VIEW_TYPE)[0];
+    if (!leaf) {
+      leaf = workspace.getRightLeaf(false);
+      if (!leaf) return;
+      await leaf.setViewState({ type: SIDEBAR_VIEW_TYPE, active: false });
+    }
+    workspace.revealLeaf(leaf);
+  }
+
+  /**
+   * Neighborhood of a note with the same options its banner uses.
+   */
+  getNeighborhood(file) {
+    const graph = Object.assign({}, this.getEffectiveSettings(file).graph, this.getNoteConfig(file).graph);
+    return {
+      graph: buildNeighborhood(this.app.metadataCache.resolvedLinks, file.path, graph, this.backlinks),
+      options: graph,
+    };
+  }
+
+  /**
+   * Export a banner's neighborhood. PNG and SVG are saved as attachments of
+   * the note; Mermaid is inserted into the note as a code block.
+   */
+  async exportBanner(format, gv, file) {
+    const path = file ? file.path : gv && gv.getFilePath();
+    const target = file || (path && this.app.vault.getFileByPath(path));
+    if (!target) {
+      new Notice(t('notice.exportNoNote'));
+      return;
+    }
+
+    try {
+      // Reuse the SVG renderer's layout so exports match what is on screen
+      const reuse = gv instanceof SvgGraphView && gv.graph && gv.getFilePath() === target.path;
+      const neighborhood = reuse ? null : this.getNeighborhood(target);
+      const graph = reuse ? gv.graph : neighborhood.graph;
+
+      if (format === 'mermaid') {
+        await this._insertIntoNote(target, graphToMermaid(graph));
+        new Notice(t('notice.mermaidInserted'));
+        return;
+      }
+
+      const positions = reuse ? gv.positions : layoutGraph(graph, neighborhood.options);
+      const colors = reuse
+        ? gv.colors
+        : resolveNodeColors(this.app, graph, this.getEffectiveSettings(target).colorGroups);
+
+      const width = (gv && gv.node && gv.node.clientWidth) || 800;
+      const height = (gv && gv.node && gv.node.clientHeight) || 200;
+      const svg = renderGraphSvg(graph, positions, { width, height, colors, palette: readGraphPalette() });
+
+      let saved;
+      if (format === 'svg') {
+        const dest = await this.app.fileManager.getAvailablePathForAttachment(target.basename + ' graph.svg', target.path);
+        saved = await this.app.vault.create(dest, svg);
+      } else {
+        // Prefer what the banner actually shows; fall back to the rendered SVG
+        let blob = gv && gv.getFilePath() === target.path ? await gv.capturePng() : null;
+        if (!blob) blob = await rasterizeSvg(svg, width, height);
+        if (!blob) throw new Error('could not render PNG');
+        const dest = await this.app.fileManager.getAvailablePathForAttachment(target.basename + ' graph.png', target.path);
+        saved = await this.app.vault.createBinary(dest, await blob.arrayBuffer());
+      }
+      new Notice(t('notice.exported', { path: saved.path }));
+    } catch (_) {
+      new Notice(t('notice.exportFailed'));
+    }
+  }
+
+  /**
+   * Insert text at the cursor when the note is open in an editor, otherwise
+   * append it to the end of the note.
+   */
+  async _insertIntoNote(file, text) {
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    if (view && view.file === file && view.getMode() === 'source' && view.editor) {
+      view.editor.replaceSelection('\n' + text + '\n');
+      return;
+    }
+    await this.app.vault.process(file, (data) => data.replace(/\n*$/, '') + '\n\n' + text + '\n');
+  }
+
+  /**
+   * Re-place the banners in every visible note, e.g. after a settings change.
+   */
+  refreshVisibleViews() {
+    this.placeVisibleViews();
+    this.refreshBlocks();
+  }
+
+  /**
+   * Redraw code blocks whose note, options or theme changed.
+   */
+  refreshBlocks() {
+    for (const block of this.blocks) block.render();
+  }
+
+  /**
+   * Markdown views currently on screen: every pane of a split, but not
+   * background tabs.
+   */
+  getVisibleMarkdownViews() {
+    return this.app.workspace
+      .getLeavesOfType('markdown')
+      .map((leaf) => leaf.view)
+      .filter(
+        (view) =>
+          view instanceof MarkdownView &&
+          view.file &&
+          view.file.extension === 'md' &&
+          view.containerEl.isShown()
+      );
+  }
+
+  async placeVisibleViews(opts) {
+    this._prunePlacementKeys();
+    // The sidebar view may have been closed since the last pass
+    this.applyPlacementClass();
+    // Most recently active panes first, so they get the pooled instances
+    const views = this.getVisibleMarkdownViews()
+      .map((view) => ({ view, rank: this._paneRank(view) }))
+      .sort((a, b) => b.rank - a.rank);
+    for (const { view } of views) {
+      await this.placeGraphView(view, opts);
+    }
+  }
+
+  /**
+   * How recently a pane was active; the active pane ranks above all others.
+   */
+  _paneRank(view) {
+    if (view === this.app.workspace.getActiveViewOfType(MarkdownView)) return Infinity;
+    return (view.leaf && this._paneActiveAt.get(view.leaf)) || 0;
+  }
+
+  /**
+   * Re-place visible banners of these notes whose placement key changed.
+   */
+  _replaceIfChanged(paths) {
+    if (paths.length === 0) return;
+    const wanted = new Set(paths);
+    for (const view of this.getVisibleMarkdownViews()) {
+      const file = view.file;
+      if (!wanted.has(file.path)) continue;
+      const next = this._getPlacementKey(file, this.getNoteConfig(file));
+      if (this._placementKeys.get(file.path) === next) continue;
+      this.placeGraphView(view);
+    }
+  }
+
+  /**
+   * Forget cached placement keys and neighbor counts of notes that are no
+   * longer open.
+   */
+  _prunePlacementKeys() {
+    const open = new Set();
+    for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+      if (leaf.view && leaf.view.file) open.add(leaf.view.file.path);
+    }
+    for (const path of this._placementKeys.keys()) {
+      if (!open.has(path)) this._placementKeys.delete(path);
+    }
+    for (const path of this._neighborCounts.keys()) {
+      if (!open.has(path)) this._neighborCounts.delete(path);
+    }
+  }
+
+  /**
+   * Notes linking to or linked from a note, shown on its collapsed strip.
+   * Cached until the note or its links are resolved again.
+   */
+  getNeighborCount(path) {
+    if (!this._neighborCounts.has(path)) {
+      const outgoing = Object.keys((this.app.metadataCache.resolvedLinks || {})[path] || {});
+      const neighbors = new Set(outgoing.concat(this.backlinks.getBacklinks(path)));
+      neighbors.delete(path);
+      const count = Array.from(neighbors).filter((p) => p.endsWith('.md')).length;
+      this._neighborCounts.set(path, count);
+    }
+    return this._neighborCounts.get(path);
+  }
+
+  /**
+   * Recount the neighbors of re-resolved notes and update their strips.
+   */
+  _updateNeighborCounts(paths) {
+    for (const path of paths) this._neighborCounts.delete(path);
+    for (const view of this.getVisibleMarkdownViews()) {
+      if (!paths.includes(view.file.path)) continue;
+      const gv = this._findGraphView(view);
+      if (gv && gv.collapsed) gv.setCollapsed(true, this.getNeighborCount(view.file.path));
+    }
+  }
+
+  /**
+   * Drop cached placement keys of a renamed or deleted file or folder.
+   */
+  _forgetPlacementKeys(path) {
+    for (const key of this._placementKeys.keys()) {
+      if (key === path || key.startsWith(path + '/')) this._placementKeys.delete(key);
+    }
+  }
+
+  scheduleVisiblePlacement() {
+    const wait = this.settings.layoutDebounceMs ?? DEFAULT_SETTINGS.layoutDebounceMs;
+    if (this._layoutTimer !== null) {
+      window.clearTimeout(this._layoutTimer);
+    }
+    this._layoutTimer = window.setTimeout(() => {
+      this._layoutTimer = null;
+      this.placeVisibleViews();
+    }, wait);
+  }
+
+  isMobile() {
+    try {
+      // @ts-ignore
+      return !!window.Platform?.isMobile;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  isNoteDisabled(path) {
+    const list = this.settings.perNoteDisabledPaths || [];
+    return list.includes(path);
+  }
+
+  toggleCurrentNote(path) {
+    const disable = !this.isNoteDisabled(path);
+    this.setNoteDisabled(path, disable);
+    new Notice(disable ? t('notice.noteDisabled') : t('notice.noteEnabled'));
+  }
+
+  /**
+   * Turn the per-note toggle on or off. Returns false if nothing changed.
+   */
+  setNoteDisabled(path, disabled) {
+    const list = this.settings.perNoteDisabledPaths || [];
+    const idx = list.indexOf(path);
+    if (disabled === (idx !== -1)) return false;
+    if (disabled) {
+      list.push(path);
+    } else {
+      list.splice(idx, 1);
+    }
+    this.settings.perNoteDisabledPaths = list;
+    this.saveSettings();
+
+    for (const view of this.getVisibleMarkdownViews()) {
+      if (view.file.path === path) this.placeGraphView(view);
+    }
+    return true;
+  }
+
+  isNoteCollapsed(path) {
+    const flag = this.settings.collapsedNotes[path];
+    return flag === undefined ? !!this.settings.collapseByDefault : flag;
+  }
+
+  /**
+   * Remember a note's banner as collapsed or expanded. Only notes that
+   * differ from `collapseByDefault` are stored.
+   */
+  async setNoteCollapsed(path, collapsed) {
+    if (collapsed === !!this.settings.collapseByDefault) {
+      delete this.settings.collapsedNotes[path];
+    } else {
+      this.settings.collapsedNotes[path] = collapsed;
+    }
+    await this.saveSettings();
+    for (const view of this.getVisibleMarkdownViews()) {
+      if (view.file.path === path) this.placeGraphView(view);
+    }
+  }
+
+  /**
+   * Collapse or expand every banner, dropping per-note states.
+   */
+  async setAllCollapsed(collapsed) {
+    this.settings.collapseByDefault = collapsed;
+    this.settings.collapsedNotes = {};
+    await this.saveSettings();
+    this.placeVisibleViews();
+  }
+
+  /**
+   * Key in bannerHeights that applies to a note: its own path, else the
+   * nearest folder with a remembered height.
+   */
+  _findHeightKey(path) {
+    const heights = this.settings.bannerHeights;
+    if (heights[path]) return path;
+    let folder = path;
+    while (folder.includes('/')) {
+      folder = folder.slice(0, folder.lastIndexOf('/'));
+      if (heights[folder]) return folder;
+    }
+    return heights['/'] ? '/' : null;
+  }
+
+  getRememberedHeight(path) {
+    const key = this._findHeightKey(path);
+    return key ? this.settings.bannerHeights[key] : null;
+  }
+
+  /**
+   * Save a height set with the drag handle, for the note or its folder
+   * depending on `resizeScope`. A note with its own frontmatter `height`
+   * gets the new height written there, since frontmatter takes precedence.
+   */
+  async rememberBannerHeight(path, height) {
+    const file = this.app.vault.getFileByPath(path);
+    if (file && this.getNoteConfig(file).height) {
+      try {
+        await this.app.fileManager.processFrontMatter(file, (frontmatter) => {
+          if (isPlainObject(frontmatter[FRONTMATTER_KEY])) frontmatter[FRONTMATTER_KEY].height = height;
+        });
+      } catch (_) {
+        new Notice(t('notice.heightFailed'));
+        this.placeVisibleViews();
+      }
+      return;
+    }
+
+    let key = path;
+    if (this.settings.resizeScope === 'folder') {
+      key = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '/';
+      // The note's own height would otherwise still win over its folder's
+      delete this.settings.bannerHeights[path];
+    }
+    this.settings.bannerHeights[key] = height;
+    await this.saveSettings();
+    this.placeVisibleViews();
+  }
+
+  /**
+   * Drop every remembered height a note could use (its own, its folders'),
+   * so it goes back to the default height.
+   */
+  async forgetBannerHeight(path) {
+    let key = this._findHeightKey(path);
+    if (key) {
+      while (key) {
+        delete this.settings.bannerHeights[key];
+        key = this._findHeightKey(path);
+      }
+      await this.saveSettings();
+    }
+    this.placeVisibleViews();
+  }
+
+  /**
+   * Keep perNoteDisabledPaths, bannerHeights and collapsedNotes in sync with vault renames.
+   * Handles both files and folders (entries under a renamed folder are rewritten).
+   */
+  async handleRename(file, oldPath) {
+    const newPath = file.path;
+    const prefix = oldPath + '/';
+    let changed = false;
+    const move = (p) => {
+      if (p === oldPath) {
+        changed = true;
+        return newPath;
+      }
+      if (p.startsWith(prefix)) {
+        changed = true;
+        return newPath + '/' + p.slice(prefix.length);
+      }
+      return p;
+    };
+
+    // An entry already at the destination is kept, not overwritten
+    const moveKeys = (map) => {
+      const moved = {};
+      for (const [p, value] of Object.entries(map)) {
+        const target = move(p);
+        if (target === p || !(target in map)) moved[target] = value;
+      }
+      return moved;
+    };
+
+    const next = (this.settings.perNoteDisabledPaths || []).map(move);
+    const heights = moveKeys(this.settings.bannerHeights);
+    const collapsed = moveKeys(this.settings.collapsedNotes);
+    if (!changed) return;
+
+    // A rename onto an already-disabled path must not leave duplicates
+    this.settings.perNoteDisabledPaths = Array.from(new Set(next));
+    this.settings.bannerHeights = heights;
+    this.settings.collapsedNotes = collapsed;
+    await this.saveSettings();
+  }
+
+  /**
+   * Drop perNoteDisabledPaths, bannerHeights and collapsedNotes entries for a deleted file or folder.
+   */
+  async handleDelete(file) {
+    const path = file.path;
+    const prefix = path + '/';
+    const kept = (p) => p !== path && !p.startsWith(prefix);
+
+    const list = this.settings.perNoteDisabledPaths || [];
+    const next = list.filter(kept);
+    const maps = [this.settings.bannerHeights, this.settings.collapsedNotes];
+    const removed = maps.map((map) => Object.keys(map).filter((p) => !kept(p)));
+    if (next.length === list.length && removed.every((keys) => keys.length === 0)) return;
+
+    this.settings.perNoteDisabledPaths = next;
+    maps.forEach((map, i) => {
+      for (const p of removed[i]) delete map[p];
+    });
+    await this.saveSettings();
+  }
+
+  /**
+   * Entries in perNoteDisabledPaths that no longer point to a note in the vault.
+   */
+  getStaleDisabledPaths() {
+    const list = this.settings.perNoteDisabledPaths || [];
+    return list.filter((p) => !this.app.vault.getFileByPath(p));
+  }
+
+  /**
+   * Remove stale perNoteDisabledPaths entries. Returns how many were removed.
+   */
+  async cleanupStaleDisabledPaths() {
+    const stale = this.getStaleDisabledPaths();
+    if (stale.length === 0) return 0;
 
-    this.registerEvent(
-      this.app.workspace.on('layout-change', () => {
-        const view = this.app.workspace.getActiveViewOfType(MarkdownView);
-        if (!view) return;
+    const list = this.settings.perNoteDisabledPaths || [];
+    this.settings.perNoteDisabledPaths = list.filter((p) => !stale.includes(p));
+    await this.saveSettings();
+    return stale.length;
+  }
 
-        const wait = this.settings.layoutDebounceMs ?? DEFAULT_SETTINGS.layoutDebounceMs;
-        if (this._layoutTimer !== null) {
-          window.clearTimeout(this._layoutTimer);
-        }
-        this._layoutTimer = window.setTimeout(() => {
-          this.placeGraphView(view);
-        }, wait);
-      })
-    );
+  /**
+   * Built-in presets.
+   */
+  applyBuiltinPreset(name) {
+    const overlay = BUILTIN_PRESETS[name];
+    if (overlay) this.applyPresetSettings(overlay);
+  }
 
-    // Lazy init: only for the active markdown view
-    const active = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (active && active.file && active.file.extension === 'md') {
-      this.placeGraphView(active);
-    }
+  /**
+   * Apply a preset by key ('perf', 'user:<id>', ...). Returns false if it doesn't exist.
+   */
+  applyPreset(key) {
+    if (key && key.startsWith('user:')) return this.applyUserPreset(key.slice('user:'.length));
+    if (!BUILTIN_PRESETS[key]) return false;
+    this.applyBuiltinPreset(key);
+    return true;
   }
 
-  
-  openSettingsPanel() {
-    const setting = this.app && this.app.setting;
-    if (!setting) return;
-    setting.open();
-    if (typeof setting.openTabById === 'function') {
-      try {
-        setting.openTabById(this.manifest && this.manifest.id ? this.manifest.id : 'graph-banner');
-      } catch (_) {
-        // ignore
-      }
+  /**
+   * Settings overlay for a preset key ('perf', 'user:<id>', ...), or null.
+   */
+  getPresetOverlay(key) {
+    if (!key) return null;
+    if (key.startsWith('user:')) {
+      const preset = this.getUserPreset(key.slice('user:'.length));
+      return preset ? sanitizePresetSettings(preset.settings) : null;
     }
+    return BUILTIN_PRESETS[key] || null;
   }
 
-onunload() {
-    if (this._layoutTimer !== null) {
-      window.clearTimeout(this._layoutTimer);
-      this._layoutTimer = null;
-    }
-    for (const gv of this.graphViews) {
-      try {
-        gv.detach();
-      } catch (_) {
-        // ignore
-      }
+  getPresetName(key) {
+    if (key && key.startsWith('user:')) {
+      const preset = this.getUserPreset(key.slice('user:'.length));
+      return preset ? preset.name : key;
     }
-    this.graphViews = [];
+    return BUILTIN_PRESETS[key] ? t('preset.' + key) : key;
   }
 
-  async saveSettings() {
-    await this.saveData(this.settings);
+  getActiveFile() {
+    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+    return view ? view.file : null;
   }
 
-  applyBannerHeight() {
-    try {
-      let height = this.settings.bannerHeight || DEFAULT_SETTINGS.bannerHeight || '14vh';
-      if (typeof height === 'string') {
-        const raw = height.trim();
-        if (/^\d+(?:\.\d+)?$/.test(raw)) {
-          // 数字则自动当作 vh
-          height = raw + 'vh';
-        } else {
-          height = raw;
-        }
+  _autoPresetRuleMatches(rule, file) {
+    const value = String(rule.value || '').trim();
+    switch (rule.type) {
+      case 'mobile':
+        return this.isMobile();
+      case 'battery':
+        return !!this._battery && !this._battery.charging;
+      case 'folder': {
+        const folder = value.replace(/^\/+|\/+$/g, '');
+        return !!file && !!folder && file.path.startsWith(folder + '/');
       }
-      document.documentElement.style.setProperty('--banner-height', height);
+      case 'workspace': {
+        // @ts-ignore private API – core Workspaces plugin
+        const workspaces = this.app.internalPlugins && this.app.internalPlugins.getPluginById
+          ? this.app.internalPlugins.getPluginById('workspaces')
+          : null;
+        const current = workspaces && workspaces.instance ? workspaces.instance.activeWorkspace : '';
+        return !!value && current === value;
+      }
+      case 'bodyClass':
+        return !!value && document.body.hasClass(value);
+      default:
+        return false;
+    }
+  }
 
-      // 当高度变化时，主动刷新当前笔记的 Graph Banner，使布局尽量适应新的空间
-      const view = this.app && this.app.workspace && this.app.workspace.getActiveViewOfType
-        ? this.app.workspace.getActiveViewOfType(MarkdownView)
-        : null;
-      if (!view || !view.file || view.file.extension !== 'md') return;
+  /**
+   * First automatic preset rule that applies in the current context, or null.
+   */
+  getActiveAutoPresetRule(file) {
+    for (const rule of this.settings.autoPresetRules || []) {
+      if (!this.getPresetOverlay(rule.preset)) continue;
+      if (this._autoPresetRuleMatches(rule, file)) return rule;
+    }
+    return null;
+  }
 
-      const path = view.file.path;
+  /**
+   * Settings to use for a note: the saved settings with the automatically
+   * selected preset on top. The saved settings are not modified.
+   */
+  getEffectiveSettings(file) {
+    const rule = this.getActiveAutoPresetRule(file);
+    return rule ? mergeSettings(this.settings, this.getPresetOverlay(rule.preset)) : this.settings;
+  }
 
-      // 已被 per-note 关闭则直接返回
-      if (this.isNoteDisabled(path)) return;
+  /**
+   * Re-place the visible banners whose automatically selected preset
+   * changed, e.g. after unplugging the charger or entering zen mode.
+   */
+  _refreshIfAutoPresetChanged() {
+    this._replaceIfChanged(this.getVisibleMarkdownViews().map((view) => view.file.path));
+    this.refreshBlocks();
+  }
 
-      // ignore 规则命中也直接返回
-      const ignored = matchIgnore(path, this.settings.ignore);
-      if (ignored) return;
+  _scheduleAutoPresetCheck() {
+    if (this._autoPresetTimer !== null) window.clearTimeout(this._autoPresetTimer);
+    this._autoPresetTimer = window.setTimeout(() => {
+      this._autoPresetTimer = null;
+      this._refreshIfAutoPresetChanged();
+    }, AUTO_PRESET_CHECK_DELAY);
+  }
 
-      const gv = this._getOrCreateGraphView(view);
+  _watchContext() {
+    const nav = typeof navigator !== 'undefined' ? navigator : null;
+    if (nav && typeof nav.getBattery === 'function') {
+      nav.getBattery().then((battery) => {
+        this._battery = battery;
+        const onChange = () => this._refreshIfAutoPresetChanged();
+        battery.addEventListener('chargingchange', onChange);
+        this.register(() => battery.removeEventListener('chargingchange', onChange));
+        onChange();
+      }).catch(() => {
+        // Battery API unavailable; battery rules never match
+      });
+    }
 
-      // 模式相关：编辑模式可能隐藏 / 压缩
-      const mode = view.getMode();
-      let compact = false;
-      if (mode === 'source') {
-        const behaviour = this.settings.showInEditMode || DEFAULT_SETTINGS.showInEditMode;
-        if (behaviour === 'hidden') {
-          gv.setVisibility(false);
-          return;
-        } else if (behaviour === 'compact') {
-          compact = true;
-        }
+    const observer = new MutationObserver(() => {
+      // Only bodyClass rules depend on <body>
+      if ((this.settings.autoPresetRules || []).some((rule) => rule.type === 'bodyClass')) {
+        this._scheduleAutoPresetCheck();
       }
+    });
+    observer.observe(document.body, { attributes: true, attributeFilter: ['class'] });
+    this.register(() => observer.disconnect());
+  }
 
-      // 移动端行为
-      const isMobile = this.isMobile();
-      let mobileSimplified = false;
-      const mobileMode = this.settings.mobileMode || DEFAULT_SETTINGS.mobileMode;
-      if (isMobile) {
-        if (mobileMode === 'disabled') {
-          gv.setVisibility(false);
-          return;
-        } else if (mobileMode === 'simplified') {
-          mobileSimplified = true;
-        }
-      }
+  /**
+   * Presets: a snapshot of every key in PRESET_SCHEMA, applied as a partial
+   * overlay (keys missing from a preset keep their current value).
+   */
+  getPresetSnapshot() {
+    return sanitizePresetSettings(this.settings);
+  }
 
-      gv.setVisibility(true);
-      gv.forceRefresh(view, { compact, mobileSimplified });
-    } catch (_) {
-      // ignore DOM errors
+  applyPresetSettings(overlay) {
+    const values = sanitizePresetSettings(overlay);
+    for (const key of Object.keys(values)) {
+      this.settings[key] = key === 'graph'
+        ? Object.assign({}, this.settings.graph, values.graph)
+        : values[key];
     }
   }
 
-  isMobile() {
-    try {
-      // @ts-ignore
-      return !!window.Platform?.isMobile;
-    } catch (_) {
-      return false;
-    }
+  getUserPreset(id) {
+    return this.settings.userPresets.find((p) => p.id === id) || null;
   }
 
-  isNoteDisabled(path) {
-    const list = this.settings.perNoteDisabledPaths || [];
-    return list.includes(path);
+  _newPresetId() {
+    return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
   }
 
-  toggleCurrentNote(path) {
-    const list = this.settings.perNoteDisabledPaths || [];
-    const idx = list.indexOf(path);
-    if (idx === -1) {
-      list.push(path);
-      new Notice('已为当前笔记关闭 Graph Banner。');
-    } else {
-      list.splice(idx, 1);
-      new Notice('已为当前笔记重新开启 Graph Banner。');
+  createUserPreset(name, snapshot) {
+    const preset = {
+      id: this._newPresetId(),
+      name,
+      settings: snapshot ? sanitizePresetSettings(snapshot) : this.getPresetSnapshot(),
+    };
+    this.settings.userPresets.push(preset);
+    return preset;
+  }
+
+  updateUserPreset(id) {
+    const preset = this.getUserPreset(id);
+    if (preset) preset.settings = this.getPresetSnapshot();
+  }
+
+  renameUserPreset(id, name) {
+    const preset = this.getUserPreset(id);
+    if (preset && name) preset.name = name;
+  }
+
+  duplicateUserPreset(id) {
+    const preset = this.getUserPreset(id);
+    if (!preset) return null;
+    const copy = this.createUserPreset(t('preset.copyName', { name: preset.name }), JSON.parse(JSON.stringify(preset.settings)));
+    // Keep the copy right after its original
+    const list = this.settings.userPresets;
+    list.splice(list.indexOf(copy), 1);
+    list.splice(list.indexOf(preset) + 1, 0, copy);
+    return copy;
+  }
+
+  deleteUserPreset(id) {
+    this.settings.userPresets = this.settings.userPresets.filter((p) => p.id !== id);
+    if (this.settings.lastAppliedPreset === 'user:' + id) {
+      this.settings.lastAppliedPreset = 'none';
     }
-    this.settings.perNoteDisabledPaths = list;
-    this.saveSettings();
+  }
 
-    const view = this.app.workspace.getActiveViewOfType(MarkdownView);
-    if (view && view.file && view.file.path === path) {
-      this.placeGraphView(view);
+  /**
+   * Apply a user preset. Returns false if it doesn't exist.
+   */
+  applyUserPreset(id) {
+    const preset = this.getUserPreset(id);
+    if (!preset || !preset.settings) {
+      new Notice(t('preset.userMissing'));
+      return false;
     }
+    this.applyPresetSettings(preset.settings);
+    return true;
   }
 
   /**
-   * Built-in presets.
+   * JSON for sharing a preset between vaults.
    */
-  applyBuiltinPreset(name) {
-    if (name === 'perf') {
-      this.settings.maxGraphViews = 1;
-      this.settings.layoutDebounceMs = 120;
-      this.settings.showInEditMode = 'hidden';
-      this.settings.mobileMode = 'disabled';
-    } else if (name === 'balanced') {
-      this.settings.maxGraphViews = 2;
-      this.settings.layoutDebounceMs = 80;
-      this.settings.showInEditMode = 'compact';
-      this.settings.mobileMode = 'simplified';
-    } else if (name === 'info') {
-      this.settings.maxGraphViews = 3;
-      this.settings.layoutDebounceMs = 40;
-      this.settings.showInEditMode = 'full';
-      this.settings.mobileMode = 'full';
-    }
-  }
-
-  /**
-   * User presets: store / restore a snapshot of core settings.
-   */
-  _getCoreSettingsSnapshot() {
-    const {
-      maxGraphViews,
-      layoutDebounceMs,
-      mobileMode,
-      showInEditMode,
-      timeToRemoveLeaf,
-      ignore,
-      bannerHeight,
-    } = this.settings;
+  exportUserPreset(id) {
+    const preset = this.getUserPreset(id);
+    if (!preset) return '';
+    return JSON.stringify(
+      { type: PRESET_EXPORT_TYPE, version: 1, name: preset.name, settings: preset.settings },
+      null,
+      2
+    );
+  }
 
-    return {
-      maxGraphViews,
-      layoutDebounceMs,
-      mobileMode,
-      showInEditMode,
-      timeToRemoveLeaf,
-      bannerHeight,
-      ignore: Array.isArray(ignore) ? [...ignore] : [],
-    };
+  async exportUserPresetToFile(id) {
+    const preset = this.getUserPreset(id);
+    if (!preset) return null;
+    const base = normalizePath('Graph Banner preset - ' + preset.name.replace(/[\\/:*?"<>|#^[\]]/g, '_'));
+    const path = this.app.vault.getAvailablePath(base, 'json');
+    return this.app.vault.create(path, this.exportUserPreset(id));
   }
 
-  _applyCoreSettingsSnapshot(snapshot) {
-    if (!snapshot) return;
-    this.settings.maxGraphViews = snapshot.maxGraphViews ?? this.settings.maxGraphViews;
-    this.settings.layoutDebounceMs = snapshot.layoutDebounceMs ?? this.settings.layoutDebounceMs;
-    this.settings.mobileMode = snapshot.mobileMode ?? this.settings.mobileMode;
-    this.settings.showInEditMode = snapshot.showInEditMode ?? this.settings.showInEditMode;
-    this.settings.timeToRemoveLeaf = snapshot.timeToRemoveLeaf ?? this.settings.timeToRemoveLeaf;
-    this.settings.bannerHeight = snapshot.bannerHeight ?? this.settings.bannerHeight;
-    if (snapshot.ignore) {
-      this.settings.ignore = Array.isArray(snapshot.ignore) ? [...snapshot.ignore] : [];
+  /**
+   * Add a preset from exported JSON. Returns the new preset, or null if the
+   * text isn't a Graph Banner preset.
+   */
+  importUserPreset(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (_) {
+      return null;
     }
+    if (!data || data.type !== PRESET_EXPORT_TYPE) return null;
+    if (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings)) return null;
+
+    const settings = sanitizePresetSettings(data.settings);
+    if (Object.keys(settings).length === 0) return null;
+
+    const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : t('preset.importedName');
+    return this.createUserPreset(name, settings);
   }
 
-  saveCurrentToUserPreset(n) {
-    if (!this.settings.presets) this.settings.presets = { preset1: null, preset2: null };
-    const snapshot = this._getCoreSettingsSnapshot();
-    if (n === 1) {
-      this.settings.presets.preset1 = snapshot;
-    } else if (n === 2) {
-      this.settings.presets.preset2 = snapshot;
+  /**
+   * Convert the old fixed `presets.preset1` / `presets.preset2` slots.
+   */
+  _migrateLegacyPresets() {
+    const legacy = this.settings.presets;
+    this.settings.userPresets = Array.isArray(this.settings.userPresets) ? this.settings.userPresets.slice() : [];
+    if (!legacy || typeof legacy !== 'object') return;
+
+    for (const n of [1, 2]) {
+      const snapshot = legacy['preset' + n];
+      if (!snapshot) continue;
+      const preset = this.createUserPreset(t('preset.defaultName', { n }), snapshot);
+      if (this.settings.lastAppliedPreset === 'user' + n) {
+        this.settings.lastAppliedPreset = 'user:' + preset.id;
+      }
     }
+    delete this.settings.presets;
   }
 
-  clearUserPreset(n) {
-    if (!this.settings.presets) return;
-    if (n === 1) {
-      this.settings.presets.preset1 = null;
-    } else if (n === 2) {
-      this.settings.presets.preset2 = null;
-    }
+  /**
+   * Per-note overrides from the note's `graph-banner` frontmatter block.
+   */
+  getNoteConfig(file) {
+    return readNoteConfig(this.app, file);
   }
 
-  applyUserPreset(n) {
-    if (!this.settings.presets) return;
-    const snapshot = n === 1 ? this.settings.presets.preset1 : this.settings.presets.preset2;
-    if (!snapshot) {
-      new Notice('该自定义预设尚未保存。');
-      return;
-    }
-    this._applyCoreSettingsSnapshot(snapshot);
+  /**
+   * Whether the banner should be hidden for a note, in order of precedence:
+   * frontmatter `enabled`, the per-note toggle, ignore patterns, then the
+   * first matching visibility rule.
+   */
+  isBannerHidden(file, noteConfig, settings) {
+    const config = noteConfig || this.getNoteConfig(file);
+    const effective = settings || this.getEffectiveSettings(file);
+    if (config.enabled !== undefined) return !config.enabled;
+    if (this.isNoteDisabled(file.path)) return true;
+    if (matchIgnore(file.path, effective.ignore)) return true;
+
+    const rule = findMatchingRule(this.app, file, effective.visibilityRules, this.backlinks);
+    return !!rule && rule.action !== 'show';
   }
 
-  async placeGraphView(view) {
+  /**
+   * Everything metadata-driven that decides how a note's banner is placed.
+   * Used to skip re-placement when an edit doesn't change the outcome.
+   */
+  _getPlacementKey(file, noteConfig, settings) {
+    const rule = this.getActiveAutoPresetRule(file);
+    return JSON.stringify([
+      noteConfig,
+      this.isBannerHidden(file, noteConfig, settings),
+      rule ? rule.preset : null,
+    ]);
+  }
+
+  async placeGraphView(view, opts) {
     const file = view.file;
     if (!file || file.extension !== 'md') return;
 
-    const path = file.path;
+    const settings = this.getEffectiveSettings(file);
+    const noteConfig = this.getNoteConfig(file);
+    this._placementKeys.set(file.path, this._getPlacementKey(file, noteConfig, settings));
+    const placement = this.getPlacement(settings);
 
-    // Per-note mute
-    if (this.isNoteDisabled(path)) {
-      const gv = this._getOrCreateGraphView(view);
-      gv.setVisibility(false);
-      return;
+    // The sidebar has room for one banner, which follows the active note
+    if (placement === 'sidebar') {
+      if (view !== this.app.workspace.getActiveViewOfType(MarkdownView)) {
+        const attached = this._findGraphView(view);
+        if (attached && attached.placement !== 'sidebar') attached.setVisibility(false);
+        return;
+      }
+      const container = this.getSidebarContainer();
+      const inSidebar = container && this.graphViews.find((gv) => gv.isDescendantOf(container));
+      const previousOwner = inSidebar && inSidebar.ownerView;
+      if (previousOwner && previousOwner !== view && previousOwner.file) {
+        this._setBannerState(previousOwner, previousOwner.file, null);
+      }
+      if (inSidebar) inSidebar.ownerView = view;
     }
 
-    // Ignore patterns
-    const ignored = matchIgnore(path, this.settings.ignore);
-    const gv = this._getOrCreateGraphView(view);
-    gv.setVisibility(!ignored);
-    if (ignored) return;
+    // Hidden banners only hide what this pane already has, so they never take
+    // an instance away from another pane
+    const hideBanner = () => {
+      const attached = this._findGraphView(view);
+      if (attached) attached.setVisibility(false);
+      this._setBannerState(view, file, 'hidden');
+    };
 
-    // Mode-specific behaviour
-    const mode = view.getMode();
-    let compact = false;
+    if (this.isBannerHidden(file, noteConfig, settings)) {
+      hideBanner();
+      return;
+    }
 
-    if (mode === 'source') {
-      const behaviour = this.settings.showInEditMode || DEFAULT_SETTINGS.showInEditMode;
-      if (behaviour === 'hidden') {
-        gv.setVisibility(false);
-        return;
-      } else if (behaviour === 'compact') {
-        compact = true;
-      }
+    // Mode-specific behaviour (frontmatter `mode` applies to every view mode)
+    let behaviour = noteConfig.mode;
+    if (!behaviour) {
+      behaviour = view.getMode() === 'source'
+        ? settings.showInEditMode || DEFAULT_SETTINGS.showInEditMode
+        : 'full';
+    }
+    if (behaviour === 'hidden') {
+      hideBanner();
+      return;
     }
+    const compact = behaviour === 'compact';
 
     // Mobile behaviour
     const isMobile = this.isMobile();
     let mobileSimplified = false;
-    const mobileMode = this.settings.mobileMode || DEFAULT_SETTINGS.mobileMode;
+    const mobileMode = settings.mobileMode || DEFAULT_SETTINGS.mobileMode;
 
     if (isMobile) {
       if (mobileMode === 'disabled') {
-        gv.setVisibility(false);
+        hideBanner();
         return;
       } else if (mobileMode === 'simplified') {
         mobileSimplified = true;
       }
     }
 
+    // More panes than instances: the least recently active ones go without
+    const gv = this._getOrCreateGraphView(view, settings);
+    if (!gv) {
+      this._setBannerState(view, file, null);
+      return;
+    }
+    await gv.setupLeafPromise;
+    if (gv.setupError) {
+      this._dropGraphView(gv);
+      this._setBannerState(view, file, null);
+      return;
+    }
     gv.setVisibility(true);
-    await gv.placeTo(view, { compact, mobileSimplified });
+    const placeOpts = {
+      compact,
+      mobileSimplified,
+      height: noteConfig.height || this.getRememberedHeight(file.path) ||
+        (settings.bannerHeight !== this.settings.bannerHeight ? normalizeHeight(settings.bannerHeight) : null),
+      graph: Object.assign({}, settings.graph, noteConfig.graph),
+      colorGroups: settings.colorGroups,
+      snapshot: settings.renderMode === 'snapshot',
+      placement,
+      collapsed: this.isNoteCollapsed(file.path),
+    };
+    if (placeOpts.collapsed) placeOpts.neighborCount = this.getNeighborCount(file.path);
+    if (opts && opts.force) {
+      await gv.forceRefresh(view, placeOpts);
+    } else {
+      await gv.placeTo(view, placeOpts);
+    }
+    this._setBannerState(view, file, gv.isPlacedIn(view) ? 'placed' : null);
   }
 
-  _getOrCreateGraphView(view) {
-    const markdownLeaves = this.app.workspace.getLeavesOfType('markdown');
-    const markdownNodes = markdownLeaves.map((leaf) => leaf.view.containerEl);
-
-    // 1) Already attached to this view?
-    for (const gv of this.graphViews) {
-      if (gv.isDescendantOf(view.containerEl)) return gv;
+  /**
+   * Fire the `placed` / `hidden` API event when a pane's banner state
+   * changes; re-placing the same note again stays quiet.
+   */
+  _setBannerState(view, file, state) {
+    const key = state ? state + '\n' + file.path : null;
+    const previous = this._bannerStates.get(view) || null;
+    if (previous === key) return;
+    this._bannerStates.set(view, key);
+    if (state) {
+      this.api.trigger(state, file, view);
+    } else if (previous && previous.startsWith('placed\n')) {
+      // The banner went away without being hidden, e.g. another pane took it
+      this.api.trigger('hidden', file, view);
     }
+  }
 
-    // 2) Reuse a detached one (not under any markdown container)
-    for (const gv of this.graphViews) {
-      const isAttachedSomewhere = markdownNodes.some((node) => gv.isDescendantOf(node));
-      if (!isAttachedSomewhere) return gv;
+  /**
+   * Tell the user once per session that the localgraph leaf couldn't be
+   * created.
+   */
+  reportLeafError() {
+    if (this._leafErrorReported) return;
+    this._leafErrorReported = true;
+    new Notice(t('notice.leafFailed'), 10000);
+  }
+
+  /**
+   * The banner instance currently inside a view, if any.
+   */
+  _findGraphView(view) {
+    return this.graphViews.find((gv) => gv.isPlacedIn(view)) || null;
+  }
+
+  _dropGraphView(gv) {
+    gv.detach();
+    this.graphViews = this.graphViews.filter((other) => other !== gv);
+  }
+
+  /**
+   * Pick the banner instance for a view. Instances are pooled up to
+   * `maxGraphViews`; when none is free, one is taken from the least recently
+   * active visible pane, but only if this pane was active more recently.
+   * Returns null when every instance belongs to a more recent pane.
+   */
+  _getOrCreateGraphView(view, settings) {
+    const effective = settings || this.settings;
+    const wantSvg = effective.renderMode === 'svg';
+    const isWantedType = (gv) => (gv instanceof SvgGraphView) === wantSvg;
+    const tick = ++this._visibleTick;
+
+    // 1) Already attached to this view? (an automatic preset may have switched renderers)
+    const attached = this._findGraphView(view);
+    if (attached && isWantedType(attached)) {
+      attached.lastVisibleAt = tick;
+      return attached;
     }
+    if (attached) this._dropGraphView(attached);
 
-    // 3) Enforce a hard cap on instances; reuse the first one if exceeded
-    const max = this.settings.maxGraphViews || DEFAULT_SETTINGS.maxGraphViews;
-    if (this.graphViews.length >= max) {
-      return this.graphViews[0];
+    // 2) Reuse an instance no other visible pane is showing
+    const otherPanes = this.getVisibleMarkdownViews().filter((other) => other !== view);
+    const isFree = (gv) => !gv.isShown() || !otherPanes.some((other) => gv.isPlacedIn(other));
+    const leastRecent = (list) =>
+      list.reduce((lru, gv) => (lru === null || gv.lastVisibleAt < lru.lastVisibleAt ? gv : lru), null);
+
+    // The pane an instance is taken from no longer has a banner
+    const takeFromOwner = (gv) => {
+      const owner = gv.ownerView;
+      if (owner && owner !== view && owner.file) this._setBannerState(owner, owner.file, null);
+    };
+
+    let gv = leastRecent(this.graphViews.filter((other) => isWantedType(other) && isFree(other)));
+
+    // 3) At the cap, take an instance from a less recently active pane
+    const max = effective.maxGraphViews || DEFAULT_SETTINGS.maxGraphViews;
+    const rank = this._paneRank(view);
+    const paneRank = (gv) => {
+      const pane = otherPanes.find((other) => gv.isShown() && gv.isPlacedIn(other));
+      return pane ? this._paneRank(pane) : -1;
+    };
+    while (!gv && this.graphViews.length >= max) {
+      let victim = leastRecent(this.graphViews.filter(isFree));
+      if (!victim) {
+        const ranked = this.graphViews
+          .map((other) => ({ gv: other, rank: paneRank(other) }))
+          .filter((entry) => entry.rank < rank)
+          .sort((a, b) => a.rank - b.rank);
+        if (ranked.length === 0) return null;
+        victim = ranked[0].gv;
+      }
+      takeFromOwner(victim);
+      if (isWantedType(victim)) {
+        gv = victim;
+      } else {
+        this._dropGraphView(victim);
+      }
     }
 
     // 4) Create new
-    const gv = new GraphView(this.app, this);
-    this.graphViews.push(gv);
+    if (!gv) {
+      gv = wantSvg ? new SvgGraphView(this.app, this) : new GraphView(this.app, this);
+      this.graphViews.push(gv);
+    } else {
+      takeFromOwner(gv);
+    }
+    gv.lastVisibleAt = tick;
+    return gv;
+  }
+
+  /**
+   * Look at each embed the sections processed since the last frame belong to
+   * once, rather than once per section.
+   */
+  _placePendingEmbedBanners() {
+    const sections = this._pendingEmbedSections;
+    this._pendingEmbedSections = [];
+    const seen = new Set();
+    for (const [el, sourcePath] of sections) {
+      const content = el.isConnected ? el.closest('.markdown-embed-content') : null;
+      if (!content || seen.has(content)) continue;
+      seen.add(content);
+      this.placeEmbedBanner(content, sourcePath);
+    }
+  }
+
+  /**
+   * Add a small banner to the page preview popover or canvas card a rendered
+   * section belongs to. Transclusions inside them are left alone.
+   */
+  async placeEmbedBanner(el, sourcePath) {
+    const content = el.isConnected ? el.closest('.markdown-embed-content') : null;
+    const host = content && content.closest('.hover-popover, .canvas-node');
+    if (!host || this._embedContents.has(content)) return;
+    const outer = content.parentElement && content.parentElement.closest('.markdown-embed-content');
+    if (outer && host.contains(outer)) return;
+
+    const isPopover = host.hasClass('hover-popover');
+    if (!(isPopover ? this.settings.showInPopovers : this.settings.showInCanvas)) return;
+
+    const file = this.app.vault.getFileByPath(sourcePath);
+    if (!file || file.extension !== 'md') return;
+    const settings = this.getEffectiveSettings(file);
+    const noteConfig = this.getNoteConfig(file);
+    if (this.isBannerHidden(file, noteConfig, settings)) return;
+
+    // Claimed before the first await: every section of the embed calls in
+    this._embedContents.add(content);
+    const gv = this._getEmbedGraphView();
+    gv.setVisibility(true);
+    await gv.placeTo({ file, containerEl: content }, {
+      placement: 'embed',
+      graph: Object.assign({}, settings.graph, noteConfig.graph),
+      colorGroups: settings.colorGroups,
+    });
+  }
+
+  /**
+   * Embed banners have their own pool of SVG renderers (`maxEmbedBanners`):
+   * closed popovers free theirs, and at the cap the least recently shown
+   * one is moved.
+   */
+  _getEmbedGraphView() {
+    const tick = ++this._visibleTick;
+    let gv = this.embedViews.find((other) => !other.node || !other.node.isConnected);
+
+    const max = this.settings.maxEmbedBanners || DEFAULT_SETTINGS.maxEmbedBanners;
+    if (!gv && this.embedViews.length >= max) {
+      gv = this.embedViews.reduce((lru, other) => (other.lastVisibleAt < lru.lastVisibleAt ? other : lru));
+    }
+    if (!gv) {
+      gv = new SvgGraphView(this.app, this);
+      this.embedViews.push(gv);
+    }
+    gv.lastVisibleAt = tick;
+    return gv;
+  }
+
+  /**
+   * Code blocks share a pool capped at `maxGraphViews`, separate from the
+   * banners'. At the cap the least recently rendered block gives up its view.
+   */
+  getBlockGraphView(block, wantSvg) {
+    const isWantedType = (gv) => (gv instanceof SvgGraphView) === wantSvg;
+    const tick = ++this._visibleTick;
+    let gv = block.gv && isWantedType(block.gv) ? block.gv : null;
+    if (!gv && block.gv) this._dropBlockGraphView(block.gv);
+
+    if (!gv) gv = this.blockViews.find((other) => !other.owner && isWantedType(other)) || null;
+    const max = this.settings.maxGraphViews || DEFAULT_SETTINGS.maxGraphViews;
+    while (!gv && this.blockViews.length >= max) {
+      const victim = this.blockViews.reduce((lru, other) => (other.lastVisibleAt < lru.lastVisibleAt ? other : lru));
+      if (victim.owner) victim.owner.release();
+      victim.owner = null;
+      if (isWantedType(victim)) {
+        gv = victim;
+      } else {
+        this._dropBlockGraphView(victim);
+      }
+    }
+    if (!gv) {
+      gv = wantSvg ? new SvgGraphView(this.app, this) : new GraphView(this.app, this);
+      this.blockViews.push(gv);
+    }
+    gv.owner = block;
+    gv.lastVisibleAt = tick;
     return gv;
   }
+
+  /**
+   * Return a block's graph view to the pool once the block is unloaded.
+   */
+  releaseBlockGraphView(gv) {
+    gv.owner = null;
+    if (gv.setupError) {
+      this._dropBlockGraphView(gv);
+    } else if (gv.node) {
+      gv.node.remove();
+    }
+  }
+
+  _dropBlockGraphView(gv) {
+    gv.detach();
+    this.blockViews = this.blockViews.filter((other) => other !== gv);
+  }
+
+  resetBlockViews() {
+    for (const gv of this.blockViews) {
+      try {
+        gv.detach();
+      } catch (_) {
+        // ignore
+      }
+    }
+    this.blockViews = [];
+  }
+
+  resetEmbedViews() {
+    for (const gv of this.embedViews) {
+      try {
+        gv.detach();
+      } catch (_) {
+        // ignore
+      }
+    }
+    this.embedViews = [];
+    this._embedContents = new WeakSet();
+  }
+
+  /**
+   * Drop every banner instance, e.g. when switching between the localgraph
+   * and SVG renderers. Banners are recreated on the next placement.
+   */
+  resetGraphViews() {
+    for (const gv of this.graphViews) {
+      try {
+        gv.detach();
+      } catch (_) {
+        // ignore
+      }
+    }
+    this.graphViews = [];
+  }
 }
 
 module.exports = GraphBannerPlugin;